@@ -5,12 +5,13 @@
  * Sets the color or gradient used to fill shapes.
  * @cat Color
  * @method fill
- * @param  {Color|Gradient|Swatch|Numbers} fillColor  Accepts a color/gradient/swatch or a string with the name of a color. Or values: C,M,Y,K / R,G,B / Grey
+ * @param  {Color|Gradient|Swatch|Tint|MixedInk|Numbers} fillColor  Accepts a color/gradient/swatch or a string with the name of a color or a color string like "#ff8800". Or values: C,M,Y,K / R,G,B / H,S,B / H,S,L / Grey
  */
 pub.fill = function (fillColor) {
 
   checkNull(fillColor);
-  if (fillColor instanceof Color || fillColor instanceof Swatch || fillColor instanceof Gradient) {
+  if (fillColor instanceof Color || fillColor instanceof Swatch || fillColor instanceof Gradient ||
+      fillColor instanceof Tint || fillColor instanceof MixedInk) {
     currFillColor = fillColor;
   } else {
     if (arguments.length === 1) {
@@ -27,6 +28,7 @@ pub.fill = function (fillColor) {
       error("b.fill(), wrong parameters. Use:\n"
         + "R,G,B,[name] or\n"
         + "C,M,Y,K,[name] or\n"
+        + "H,S,B,[name] / H,S,L,[name] or\n"
         + "GREY,[name].\n"
         + "Name is optional.");
     }
@@ -48,11 +50,12 @@ pub.noFill = function () {
  * Sets the color or gradient used to draw lines and borders around shapes.
  * @cat Color
  * @method stroke
- * @param  {Color|Gradient|Swatch|Numbers} strokeColor  Accepts a color/gradient/swatch or a string with the name of a color. Or values: C,M,Y,K / R,G,B / Grey
+ * @param  {Color|Gradient|Swatch|Tint|MixedInk|Numbers} strokeColor  Accepts a color/gradient/swatch or a string with the name of a color or a color string like "#ff8800". Or values: C,M,Y,K / R,G,B / H,S,B / H,S,L / Grey
  */
 pub.stroke = function (strokeColor) {
   checkNull(strokeColor);
-  if (strokeColor instanceof Color || strokeColor instanceof Swatch || strokeColor instanceof Gradient) {
+  if (strokeColor instanceof Color || strokeColor instanceof Swatch || strokeColor instanceof Gradient ||
+      strokeColor instanceof Tint || strokeColor instanceof MixedInk) {
     currStrokeColor = strokeColor;
   } else {
     if (arguments.length === 1) {
@@ -69,6 +72,7 @@ pub.stroke = function (strokeColor) {
       error("b.stroke(), wrong parameters. Use:\n"
         + "R,G,B,[name] or\n"
         + "C,M,Y,K,[name] or\n"
+        + "H,S,B,[name] / H,S,L,[name] or\n"
         + "GREY,[name].\n"
         + "Name is optional.");
     }
@@ -119,21 +123,43 @@ pub.strokeTint = function (tint) {
 };
 
 /**
- * Sets the colormode for creating new colors with b.color() to RGB or CMYK. The default color mode is RBG.
+ * Sets the colormode for creating new colors with b.color() to RGB, CMYK, HSB, HSL or LAB. The default color mode is RBG.
+ * Colors created in HSB or HSL mode are converted to RGB process colors, or to CMYK process colors if the
+ * intent of the document is print.
  *
  * @cat Color
  * @method colorMode
- * @param  {Number} colorMode Either b.RGB or b.CMYK
+ * @param  {Number} colorMode Either b.RGB, b.CMYK, b.HSB, b.HSL or b.LAB
  */
 pub.colorMode = function(colorMode) {
   checkNull(colorMode);
   if (arguments.length === 0) {
     return currColorMode;
   }
-  if (colorMode === pub.RGB || colorMode === pub.CMYK) {
+  if (colorMode === pub.RGB || colorMode === pub.CMYK || colorMode === pub.HSB || colorMode === pub.HSL || colorMode === pub.LAB) {
     currColorMode = colorMode;
   } else {
-    error("b.colorMode(), not supported colormode, use: b.RGB or b.CMYK");
+    error("b.colorMode(), not supported colormode, use: b.RGB, b.CMYK, b.HSB, b.HSL or b.LAB");
+  }
+};
+
+/**
+ * Sets the color type for creating new colors with b.color() to PROCESS or SPOT. The default color type is PROCESS.
+ * Spot colors use the values given to b.color() as their alternate definition, e.g. b.colorMode(b.CMYK), b.colorType(b.SPOT)
+ * and b.color(0, 24, 94, 0, "PANTONE 123 C") creates a spot color with a CMYK alternate. Use b.tint() to create tints of spot colors.
+ *
+ * @cat Color
+ * @method colorType
+ * @param  {String} colorType Either b.PROCESS or b.SPOT
+ */
+pub.colorType = function(colorType) {
+  if (arguments.length === 0) {
+    return currColorType;
+  }
+  if (colorType === pub.PROCESS || colorType === pub.SPOT) {
+    currColorType = colorType;
+  } else {
+    error("b.colorType(), not supported color type, use: b.PROCESS or b.SPOT");
   }
 };
 
@@ -158,10 +184,17 @@ pub.gradientMode = function(gradientMode) {
 
 /**
  * Creates a new RGB or CMYK color and adds the new color to the document, or gets a color by name from the document. The default color mode is RGB.
+ * New colors are process colors, or spot colors if b.colorType(b.SPOT) is set.
+ * In b.colorMode(b.HSB) and b.colorMode(b.HSL) the given values are converted to an RGB color, or to a CMYK color if the
+ * intent of the document is print. Unnamed colors are then named after the values they were created with, e.g. "H=30 S=100 B=100".
+ *
+ * If a string is given that is not the name of an existing color, it is parsed as a color string, independent of the
+ * current color mode: hex colors ("#ff8800" or "#f80"), "rgb(255,136,0)", "hsl(32,100%,50%)" and CSS color names
+ * like "orange" create RGB colors, "cmyk(0,50,100,0)" creates a CMYK color.
  *
  * @cat Color
  * @method color
- * @param  {String|Numbers} Get color: the color name. Create new color: R,G,B,[name] or C,M,Y,K,[name] or Grey,name. Name is always optional
+ * @param  {String|Numbers} Get color: the color name. Create new color: R,G,B,[name] or C,M,Y,K,[name] or H,S,B,[name] or H,S,L,[name] or L,a,b,[name] or Grey,name or colorString,[name]. Name is always optional
  * @return {Color} found or new color
  */
 pub.color = function() {
@@ -175,7 +208,11 @@ pub.color = function() {
   var colorErrorMsg = "b.color(), wrong parameters. Use:\n"
       + "R,G,B,[name] in b.colorMode(b.RGB) or\n"
       + "C,M,Y,K,[name] in b.colorMode(b.CMYK) or\n"
-      + "GREY,[name].\n"
+      + "H,S,B,[name] in b.colorMode(b.HSB) or\n"
+      + "H,S,L,[name] in b.colorMode(b.HSL) or\n"
+      + "L,a,b,[name] in b.colorMode(b.LAB) or\n"
+      + "GREY,[name] or\n"
+      + "colorString,[name] e.g. \"#ff8800\", \"rgb(255,136,0)\", \"cmyk(0,50,100,0)\" or \"orange\".\n"
       + "Name is optional.\n"
       + "NB: In InDesign colors don't have an alpha value, use b.opacity() to set alpha.";
 
@@ -185,8 +222,11 @@ pub.color = function() {
       newCol = currentDoc().colors.itemByName(a);
       if (newCol.isValid) {
         return newCol;
-      } else {
-        error("b.color(), a color with the provided name doesn't exist.");
+      }
+      // otherwise try to create it from a color string
+      props = colorStringProps(a);
+      if (props === null) {
+        error("b.color(), a color with the provided name doesn't exist and \"" + a + "\" is not a valid color string.");
       }
     } else if (typeof a === "number") {
       // GREY
@@ -196,17 +236,28 @@ pub.color = function() {
         props.space = ColorSpace.RGB;
         props.colorValue = [a, a, a];
         props.name = "R=" + a + " G=" + a + " B=" + a;
-      } else {
+      } else if (currColorMode === pub.CMYK) {
         a = pub.constrain(a, 0, 100);
         props.model = ColorModel.PROCESS;
         props.space = ColorSpace.CMYK;
         props.colorValue = [0, 0, 0, a];
         props.name = "C=" + 0 + " M=" + 0 + " Y=" + 0 + " K=" + a;
+      } else if (currColorMode === pub.LAB) {
+        props = labColorProps(a, 0, 0);
+      } else {
+        props = hueColorProps(0, 0, a);
       }
     } else {
       error("b.color(), wrong type of first parameter.");
     }
 
+  } else if (arguments.length === 2 && typeof a === "string") {
+    // color string + name
+    props = colorStringProps(a, b);
+    if (props === null) {
+      error("b.color(), \"" + a + "\" is not a valid color string.");
+    }
+
   } else if (arguments.length === 2) {
     // GREY + name
     if (currColorMode === pub.RGB) {
@@ -215,12 +266,16 @@ pub.color = function() {
       props.space = ColorSpace.RGB;
       props.colorValue = [a, a, a];
       props.name = b;
-    } else {
+    } else if (currColorMode === pub.CMYK) {
       a = pub.constrain(a, 0, 100);
       props.model = ColorModel.PROCESS;
       props.space = ColorSpace.CMYK;
       props.colorValue = [0, 0, 0, a];
       props.name = b;
+    } else if (currColorMode === pub.LAB) {
+      props = labColorProps(a, 0, 0, b);
+    } else {
+      props = hueColorProps(0, 0, a, b);
     }
 
   } else if (arguments.length === 3) {
@@ -233,6 +288,10 @@ pub.color = function() {
       props.space = ColorSpace.RGB;
       props.colorValue = [a, b, c];
       props.name = "R=" + a + " G=" + b + " B=" + c;
+    } else if (currColorMode === pub.HSB || currColorMode === pub.HSL) {
+      props = hueColorProps(a, b, c);
+    } else if (currColorMode === pub.LAB) {
+      props = labColorProps(a, b, c);
     } else {
       error(colorErrorMsg);
     }
@@ -248,6 +307,10 @@ pub.color = function() {
       props.space = ColorSpace.RGB;
       props.colorValue = [a, b, c];
       props.name = d;
+    } else if (currColorMode === pub.HSB || currColorMode === pub.HSL) {
+      props = hueColorProps(a, b, c, d);
+    } else if (currColorMode === pub.LAB) {
+      props = labColorProps(a, b, c, d);
     } else {
       error(colorErrorMsg);
     }
@@ -282,17 +345,10 @@ pub.color = function() {
     error(colorErrorMsg);
   }
 
-  // check whether color was already created and added to colors,
-  // keeps the document clean ...
-  newCol = currentDoc().colors.itemByName(props.name);
-  if (newCol.isValid) {
-    newCol.properties = props;
-    return newCol;
-  } else {
-    newCol = currentDoc().colors.add();
-    newCol.properties = props;
-    return newCol;
+  if (currColorType === pub.SPOT) {
+    spotColorProps(props, arguments.length > 1 && typeof arguments[arguments.length - 1] === "string");
   }
+  return addColor(props);
 };
 
 /**
@@ -411,6 +467,49 @@ pub.gradient = function() {
   }
 };
 
+/**
+ * Sets the start point, angle and length of the gradient fill of a page item. For linear gradients the
+ * gradient runs from the start point in the direction of the angle, for radial gradients the start point
+ * is the center and the length is the radius. The coordinates are interpreted in the current units
+ * and, like the shapes, transformed by the current matrix.
+ *
+ * @cat Color
+ * @method gradientTransform
+ * @param  {PageItem} item The page item filled with a gradient
+ * @param  {Number} x The x-coordinate of the start point or center of the gradient
+ * @param  {Number} y The y-coordinate of the start point or center of the gradient
+ * @param  {Number} [angle] The direction of a linear gradient in radians, clockwise with 0 pointing to the right
+ * @param  {Number} [length] The length of a linear gradient or the radius of a radial gradient
+ * @return {PageItem} The page item
+ */
+pub.gradientTransform = function(item, x, y, angle, length) {
+  checkNull(item);
+  if (!item.hasOwnProperty("gradientFillStart") || typeof x !== "number" || typeof y !== "number" ||
+      (typeof angle !== "undefined" && typeof angle !== "number") ||
+      (typeof length !== "undefined" && typeof length !== "number")) {
+    error("b.gradientTransform(), wrong parameters. Use: item, x, y, [angle], [length]");
+  }
+  if (!(item.fillColor instanceof Gradient)) {
+    error("b.gradientTransform(), the item has to be filled with a gradient, see b.gradient()");
+  }
+
+  // the direction of the gradient after the transformation decides angle and length
+  var dirX = Math.cos(angle || 0);
+  var dirY = Math.sin(angle || 0);
+  var transX = currMatrix.multX(dirX, dirY) - currMatrix.multX(0, 0);
+  var transY = currMatrix.multY(dirX, dirY) - currMatrix.multY(0, 0);
+
+  item.gradientFillStart = [currMatrix.multX(x, y), currMatrix.multY(x, y)];
+  if (typeof angle === "number") {
+    // InDesign measures the angle counterclockwise in degrees
+    item.gradientFillAngle = -pub.degrees(Math.atan2(transY, transX));
+  }
+  if (typeof length === "number") {
+    item.gradientFillLength = length * Math.sqrt(transX * transX + transY * transY);
+  }
+  return item;
+};
+
 /**
  * Sets the opacity property of an object.
  *
@@ -461,59 +560,1201 @@ pub.blendMode = function(obj, blendMode) {
   }
 };
 
+/**
+ * Sets or gets the drop shadow effect of an object. The options are applied to the dropShadowSettings of the
+ * object and enable the effect, passing false disables it. Without options the current settings are returned.
+ * The color option accepts a color, swatch or color name.
+ *
+ * @cat Color
+ * @subcat Effects
+ * @method dropShadow
+ * @param  {PageItem} obj The object to apply the effect to
+ * @param  {Object|Boolean} [options] Options like {color, opacity, blendMode, angle, distance, xOffset, yOffset, size, spread, noise} or false
+ * @return {Object} The current settings of the effect, with applied telling whether the effect is enabled
+ */
+pub.dropShadow = function(obj, options) {
+  return effect("dropShadow", obj, options);
+};
+
+/**
+ * Sets or gets the inner shadow effect of an object. The options are applied to the innerShadowSettings of the
+ * object and enable the effect, passing false disables it. Without options the current settings are returned.
+ *
+ * @cat Color
+ * @subcat Effects
+ * @method innerShadow
+ * @param  {PageItem} obj The object to apply the effect to
+ * @param  {Object|Boolean} [options] Options like {color, opacity, blendMode, angle, distance, xOffset, yOffset, size, choke, noise} or false
+ * @return {Object} The current settings of the effect, with applied telling whether the effect is enabled
+ */
+pub.innerShadow = function(obj, options) {
+  return effect("innerShadow", obj, options);
+};
+
+/**
+ * Sets or gets the outer glow effect of an object. The options are applied to the outerGlowSettings of the
+ * object and enable the effect, passing false disables it. Without options the current settings are returned.
+ *
+ * @cat Color
+ * @subcat Effects
+ * @method outerGlow
+ * @param  {PageItem} obj The object to apply the effect to
+ * @param  {Object|Boolean} [options] Options like {color, opacity, blendMode, size, spread, noise, technique} or false
+ * @return {Object} The current settings of the effect, with applied telling whether the effect is enabled
+ */
+pub.outerGlow = function(obj, options) {
+  return effect("outerGlow", obj, options);
+};
+
+/**
+ * Sets or gets the inner glow effect of an object. The options are applied to the innerGlowSettings of the
+ * object and enable the effect, passing false disables it. Without options the current settings are returned.
+ *
+ * @cat Color
+ * @subcat Effects
+ * @method innerGlow
+ * @param  {PageItem} obj The object to apply the effect to
+ * @param  {Object|Boolean} [options] Options like {color, opacity, blendMode, size, choke, noise, technique, source} or false
+ * @return {Object} The current settings of the effect, with applied telling whether the effect is enabled
+ */
+pub.innerGlow = function(obj, options) {
+  return effect("innerGlow", obj, options);
+};
+
+/**
+ * Sets or gets the feather effect of an object. The options are applied to the featherSettings of the
+ * object and enable the effect, passing false disables it. Without options the current settings are returned.
+ *
+ * @cat Color
+ * @subcat Effects
+ * @method feather
+ * @param  {PageItem} obj The object to apply the effect to
+ * @param  {Object|Boolean} [options] Options like {width, choke, noise, cornerType} or false
+ * @return {Object} The current settings of the effect, with applied telling whether the effect is enabled
+ */
+pub.feather = function(obj, options) {
+  return effect("feather", obj, options);
+};
+
+/**
+ * Sets or gets the gradient feather effect of an object, which fades the object out along a linear or radial gradient.
+ * The options are applied to the gradientFeatherSettings of the object and enable the effect, passing false disables it.
+ * Without options the current settings are returned.
+ *
+ * @cat Color
+ * @subcat Effects
+ * @method gradientFeather
+ * @param  {PageItem} obj The object to apply the effect to
+ * @param  {Object|Boolean} [options] Options like {type, angle, length, gradientStart} or false
+ * @return {Object} The current settings of the effect, with applied telling whether the effect is enabled
+ */
+pub.gradientFeather = function(obj, options) {
+  return effect("gradientFeather", obj, options);
+};
+
+/**
+ * Returns the settings of all transparency effects of an object that are currently applied,
+ * e.g. {dropShadow: {...}, feather: {...}}, including its opacity and blendMode.
+ *
+ * @cat Color
+ * @subcat Effects
+ * @method effects
+ * @param  {PageItem} obj The object to get the effects of
+ * @return {Object} The applied effects by name
+ */
+pub.effects = function(obj) {
+  checkTransparencySettings("effects", obj);
+  var blending = obj.transparencySettings.blendingSettings;
+  var result = {opacity: blending.opacity, blendMode: blending.blendMode};
+  for (var name in effectTypes) {
+    if (effectTypes.hasOwnProperty(name)) {
+      var settings = effect(name, obj);
+      if (settings.applied) {
+        result[name] = settings;
+      }
+    }
+  }
+  return result;
+};
+
 /**
  * Calculates a color or colors between two color at a specific increment.
  * The amt parameter is the amount to interpolate between the two values where 0.0 equal to the first point, 0.1 is very near the first point, 0.5 is half-way in between, etc.
- * N.B.: Both color must be either CMYK or RGB.
+ * The optional mode parameter sets the color space the interpolation is done in: b.RGB, b.CMYK, b.HSB or b.LAB.
+ * Interpolating in b.HSB follows the shorter way around the hue circle, b.LAB gives perceptually even steps
+ * and avoids muddy colors in the middle of a ramp. By default the interpolation is done in the color space of the first color.
+ * If the two colors are in different color spaces, the second color is converted to the color space of the first one.
+ * The resulting color is always created in the color space of the first color.
  *
  * @cat Color
  * @method lerpColor
  * @param  {Color} c1   Input color 1
  * @param  {Color} c2   Input color 2
  * @param  {Number} amt The Amount to interpolate between the two colors
+ * @param  {String} [mode] The color space to interpolate in: b.RGB, b.CMYK, b.HSB or b.LAB
  * @return {Color} Interpolated color
  */
-pub.lerpColor = function (c1, c2, amt) {
+pub.lerpColor = function (c1, c2, amt, mode) {
   checkNull(c1);
   checkNull(c2);
-  if ((c1 instanceof Color || c1 instanceof Swatch) &&
+  if (!((c1 instanceof Color || c1 instanceof Swatch) &&
      (c2 instanceof Color || c2 instanceof Swatch) &&
-      typeof amt === "number") {
-    if (c1.space === ColorSpace.CMYK && c2.space === ColorSpace.CMYK) {
-      var C1 = c1.colorValue[0];
-      var M1 = c1.colorValue[1];
-      var Y1 = c1.colorValue[2];
-      var K1 = c1.colorValue[3];
-
-      var C2 = c2.colorValue[0];
-      var M2 = c2.colorValue[1];
-      var Y2 = c2.colorValue[2];
-      var K2 = c2.colorValue[3];
-
-      var COut = Math.round(pub.lerp(C1, C2, amt));
-      var MOut = Math.round(pub.lerp(M1, M2, amt));
-      var YOut = Math.round(pub.lerp(Y1, Y2, amt));
-      var KOut = Math.round(pub.lerp(K1, K2, amt));
-      return pub.color(COut, MOut, YOut, KOut);
-
-    } else if (c1.space === ColorSpace.RGB && c2.space === ColorSpace.RGB) {
-      var R1 = c1.colorValue[0];
-      var G1 = c1.colorValue[1];
-      var B1 = c1.colorValue[2];
-
-      var R2 = c2.colorValue[0];
-      var G2 = c2.colorValue[1];
-      var B2 = c2.colorValue[2];
-
-      var ROut = Math.round(pub.lerp(R1, R2, amt));
-      var GOut = Math.round(pub.lerp(G1, G2, amt));
-      var BOut = Math.round(pub.lerp(B1, B2, amt));
-      return pub.color(ROut, GOut, BOut);
+      typeof amt === "number")) {
+    error("b.lerpColor(), wrong parameters. Use: two colors, a number and optionally b.RGB, b.CMYK, b.HSB or b.LAB.");
+  }
+
+  var outputMode = colorModeOfSpace(c1.space);
+  if (mode === undef || mode === null) {
+    mode = outputMode;
+  } else if (!(mode === pub.RGB || mode === pub.CMYK || mode === pub.HSB || mode === pub.LAB)) {
+    error("b.lerpColor(), not supported color space to interpolate in, use: b.RGB, b.CMYK, b.HSB or b.LAB");
+  }
 
+  var v1 = colorValuesIn(c1, mode);
+  var v2 = colorValuesIn(c2, mode);
+  var values = [];
+
+  if (mode === pub.HSB) {
+    // greys have no hue, take the one of the other color
+    if (v1[1] === 0) {
+      v1[0] = v2[0];
+    } else if (v2[1] === 0) {
+      v2[0] = v1[0];
+    }
+    // go the shorter way around the hue circle
+    if (v2[0] - v1[0] > 180) {
+      v2[0] -= 360;
+    } else if (v1[0] - v2[0] > 180) {
+      v2[0] += 360;
+    }
+  }
+
+  for (var i = 0; i < v1.length; i++) {
+    values.push(pub.lerp(v1[i], v2[i], amt));
+  }
+
+  if (mode === pub.HSB) {
+    values[0] = (values[0] + 360) % 360;
+  }
+  if (mode !== outputMode) {
+    values = rgbValuesIn(valuesToRgb(values, mode), outputMode);
+  }
+
+  return addColor(processColorProps(spaceOfColorMode(outputMode), roundValues(values)));
+};
+
+
+/**
+ * Creates a color scheme from a base color and returns it as an array of colors, which can be used with b.fill(),
+ * b.stroke() or b.gradient(). The colors are created in the color space of the base color.
+ *
+ * b.COMPLEMENTARY returns the base color and its complementary color.<br />
+ * b.TRIADIC returns the base color and the two colors 120 degrees apart on the hue circle.<br />
+ * b.SPLIT_COMPLEMENTARY returns the base color and the two neighbours of its complementary color.<br />
+ * b.ANALOGOUS returns steps colors (default 3) 30 degrees apart on the hue circle, with the base color in the middle
+ * (for an even number of steps the base color is the last one before the middle).<br />
+ * b.TINTS returns steps colors (default 5) from the base color towards white, starting with the base color.<br />
+ * b.SHADES returns steps colors (default 5) from the base color towards black, starting with the base color.<br /><br />
+ *
+ * If a name is given, the colors are additionally put into a color group of this name in the swatches panel
+ * (InDesign CC 2015 and newer).
+ *
+ * @cat Color
+ * @method palette
+ * @param  {Color} baseColor The color to build the scheme from
+ * @param  {String} scheme   One of b.COMPLEMENTARY, b.TRIADIC, b.SPLIT_COMPLEMENTARY, b.ANALOGOUS, b.TINTS or b.SHADES
+ * @param  {Number} [steps]  Number of colors to create, only used by b.ANALOGOUS, b.TINTS and b.SHADES
+ * @param  {String} [name]   Name of the color group to add the colors to
+ * @return {Color[]} The colors of the scheme
+ */
+pub.palette = function(baseColor, scheme, steps, name) {
+  checkNull(baseColor);
+  if (!(baseColor instanceof Color)) {
+    error("b.palette(), wrong parameters. Use: baseColor, scheme, [steps], [name]");
+  }
+  if (typeof steps === "string") {
+    name = steps;
+    steps = null;
+  }
+
+  var mode = colorModeOfSpace(baseColor.space);
+  var hsb = colorValuesIn(baseColor, pub.HSB);
+  var colors = [baseColor];
+  var i;
+  var rotated = function(degrees) {
+    var rgb = hsbToRgb((hsb[0] + degrees + 360) % 360, hsb[1], hsb[2]);
+    return addColor(processColorProps(spaceOfColorMode(mode), roundValues(rgbValuesIn(rgb, mode))));
+  };
+
+  if (scheme === pub.COMPLEMENTARY) {
+    colors.push(rotated(180));
+  } else if (scheme === pub.TRIADIC) {
+    colors.push(rotated(120), rotated(240));
+  } else if (scheme === pub.SPLIT_COMPLEMENTARY) {
+    colors.push(rotated(150), rotated(210));
+  } else if (scheme === pub.ANALOGOUS) {
+    steps = typeof steps === "number" ? steps : 3;
+    colors = [];
+    // for an even number of steps the base color is the last one before the middle
+    var baseIndex = Math.floor((steps - 1) / 2);
+    for (i = 0; i < steps; i++) {
+      colors.push(i === baseIndex ? baseColor : rotated((i - baseIndex) * 30));
+    }
+  } else if (scheme === pub.TINTS || scheme === pub.SHADES) {
+    steps = typeof steps === "number" ? steps : 5;
+    var target = scheme === pub.TINTS ? [255, 255, 255] : [0, 0, 0];
+    var base = colorValuesIn(baseColor, mode);
+    target = rgbValuesIn(target, mode);
+    for (i = 1; i < steps; i++) {
+      var values = [];
+      for (var j = 0; j < base.length; j++) {
+        values.push(pub.lerp(base[j], target[j], i / steps));
+      }
+      colors.push(addColor(processColorProps(spaceOfColorMode(mode), roundValues(values))));
+    }
+  } else {
+    error("b.palette(), not supported scheme, use: b.COMPLEMENTARY, b.TRIADIC, b.SPLIT_COMPLEMENTARY, b.ANALOGOUS, b.TINTS or b.SHADES");
+  }
+
+  if (typeof name === "string") {
+    if (!currentDoc().hasOwnProperty("colorGroups")) {
+      warning("b.palette(), color groups are not supported by this InDesign version. The colors are added to the swatches without a group.");
     } else {
-      error("b.lerpColor(), both color must be either CMYK or RGB.");
+      if (currentDoc().colorGroups.itemByName(name).isValid) {
+        currentDoc().colorGroups.itemByName(name).ungroup();
+        warning("b.palette(), a color group named \"" + name + "\" already existed. The old group is replaced by a new one.");
+      }
+      currentDoc().colorGroups.add(name, colors);
     }
+  }
+  return colors;
+};
+
+/**
+ * Loads the swatches of an Adobe Swatch Exchange (.ase) file into the document and returns them as an array of colors.
+ * If the file is specified by name as String, it must be located in the document's data directory.
+ * Spot colors of the file are created as spot colors, all other colors as process colors. Colors that already exist in the
+ * document with the same name are updated. Swatch groups of the file are created as color groups (InDesign CC 2015 and newer).
+ *
+ * @cat Color
+ * @method loadSwatches
+ * @param  {String|File} file The .ase file name in the document's data directory or a File instance
+ * @return {Color[]} The loaded colors
+ */
+pub.loadSwatches = function(file) {
+  var inputFile = initDataFile(file, true);
+  inputFile.encoding = "BINARY";
+  inputFile.open("r");
+  var swatches = pub.ASE.decode(inputFile.read());
+  inputFile.close();
+
+  var colors = [];
+  var groups = {};
+  var groupNames = [];
+
+  for (var i = 0; i < swatches.length; i++) {
+    var swatch = swatches[i];
+    var space = ColorSpace[swatch.model];
+    var values = swatch.values;
+    if (swatch.model === "GRAY") {
+      space = ColorSpace.CMYK;
+      values = [0, 0, 0, 100 - values[0]];
+    }
+
+    var col = currentDoc().colors.itemByName(swatch.name);
+    if (!col.isValid || col.editable) {
+      var props = processColorProps(space, values, swatch.name === "" ? undef : swatch.name);
+      if (swatch.type === "spot") {
+        props.model = ColorModel.SPOT;
+      }
+      col = addColor(props);
+    }
+    colors.push(col);
+
+    if (swatch.group !== null) {
+      if (!groups.hasOwnProperty(swatch.group)) {
+        groups[swatch.group] = [];
+        groupNames.push(swatch.group);
+      }
+      groups[swatch.group].push(col);
+    }
+  }
+
+  if (groupNames.length > 0 && currentDoc().hasOwnProperty("colorGroups")) {
+    for (var j = 0; j < groupNames.length; j++) {
+      if (currentDoc().colorGroups.itemByName(groupNames[j]).isValid) {
+        currentDoc().colorGroups.itemByName(groupNames[j]).ungroup();
+      }
+      currentDoc().colorGroups.add(groupNames[j], groups[groupNames[j]]);
+    }
+  }
+  return colors;
+};
+
+/**
+ * Saves colors to an Adobe Swatch Exchange (.ase) file, which can be loaded in other Adobe applications or with b.loadSwatches().
+ * If no colors are given, all named colors of the document are saved. If the given file exists it gets overridden.
+ *
+ * @cat Color
+ * @method saveSwatches
+ * @param  {String|File} file The file name or a File instance
+ * @param  {Color[]} [colors] The colors to save
+ */
+pub.saveSwatches = function(file, colors) {
+  if (colors === undef || colors === null) {
+    colors = [];
+    var docColors = currentDoc().colors;
+    for (var i = 0; i < docColors.length; i++) {
+      if (docColors[i].name !== "" && docColors[i].name !== "Registration" && docColors[i].name !== "Paper") {
+        colors.push(docColors[i]);
+      }
+    }
+  }
+  if (!isArray(colors)) {
+    error("b.saveSwatches(), wrong parameters. Use: file, [arrayOfColors]");
+  }
+
+  var swatches = [];
+  for (var j = 0; j < colors.length; j++) {
+    var col = colors[j];
+    if (!(col instanceof Color)) {
+      error("b.saveSwatches(), element #" + (j + 1) + " of the given arrayOfColors is not a color.");
+    }
+    swatches.push({
+      name: col.name,
+      model: colorModeOfSpace(col.space).toUpperCase(),
+      values: col.colorValue,
+      type: col.model === ColorModel.SPOT ? "spot" : "normal"
+    });
+  }
+
+  var outputFile = initDataFile(file);
+  outputFile.encoding = "BINARY";
+  outputFile.open("w");
+  outputFile.write(pub.ASE.encode(swatches));
+  outputFile.close();
+};
+
+/**
+ * Creates a tint swatch of a color, or gets it if the tint already exists in the document. Tints are mostly used with spot colors,
+ * the resulting swatch can be used with b.fill(), b.stroke() and b.gradient().
+ *
+ * @cat Color
+ * @method tint
+ * @param  {Color|String} color The base color or the name of the base color
+ * @param  {Number} amount The tint value from 0 to 100
+ * @return {Tint} The tint swatch
+ */
+pub.tint = function(color, amount) {
+  checkNull(color);
+  if (typeof color === "string") {
+    color = pub.color(color);
+  }
+  if (!(color instanceof Color) || typeof amount !== "number") {
+    error("b.tint(), wrong parameters. Use: color, amount");
+  }
+  amount = pub.constrain(amount, 0, 100);
+
+  var tints = currentDoc().tints;
+  for (var i = 0; i < tints.length; i++) {
+    if (tints[i].baseColor === color && tints[i].tintValue === amount) {
+      return tints[i];
+    }
+  }
+  return tints.add(color, {tintValue: amount});
+};
+
+/**
+ * Creates a mixed ink swatch from spot colors and process inks, or gets a mixed ink by name from the document.
+ * At least one of the inks has to be a spot color. Process inks are given by their names, e.g. "Process Black".
+ *
+ * @cat Color
+ * @method mixedInk
+ * @param  {Array|String} inks Array of spot colors or ink names. Alternatively: name of the mixed ink to get.
+ * @param  {Number[]} percentages The percentage of each ink, from 0 to 100
+ * @param  {String} [name] Optional name of the mixed ink
+ * @return {MixedInk} Found or new mixed ink
+ */
+pub.mixedInk = function(inks, percentages, name) {
+  var mixedInk;
+  if (typeof inks === "string" && arguments.length === 1) {
+    mixedInk = currentDoc().mixedInks.itemByName(inks);
+    if (!mixedInk.isValid) {
+      error("b.mixedInk(), a mixed ink with the provided name doesn't exist.");
+    }
+    return mixedInk;
+  }
+  if (!isArray(inks) || !isArray(percentages) || inks.length !== percentages.length) {
+    error("b.mixedInk(), wrong parameters. Use: arrayOfInks, arrayOfPercentages, [name] or mixedInkName");
+  }
+
+  var inkList = [];
+  for (var i = 0; i < inks.length; i++) {
+    var ink = currentDoc().inks.itemByName(inks[i] instanceof Color ? inks[i].name : inks[i]);
+    if (!ink.isValid) {
+      error("b.mixedInk(), element #" + (i + 1) + " of the given arrayOfInks is not an ink of the document.");
+    }
+    inkList.push(ink);
+  }
+
+  if (typeof name === "string") {
+    mixedInk = currentDoc().mixedInks.itemByName(name);
+    if (mixedInk.isValid) {
+      mixedInk.remove();
+      warning("b.mixedInk(), a mixed ink named \"" + name + "\" already existed. The old mixed ink is replaced by a new one.");
+    }
+    return currentDoc().mixedInks.add(inkList, percentages, {name: name});
+  }
+  return currentDoc().mixedInks.add(inkList, percentages);
+};
+
+/**
+ * Returns the CIE Lab values of a color as an array [L, a, b]. RGB and CMYK colors are converted without color management.
+ *
+ * @cat Color
+ * @method toLab
+ * @param  {Color} color The color to convert
+ * @return {Number[]} The values L (0-100), a and b (-128-127)
+ */
+pub.toLab = function(color) {
+  checkNull(color);
+  if (!(color instanceof Color)) {
+    error("b.toLab(), wrong parameters. Use: color");
+  }
+  return colorValuesIn(color, pub.LAB);
+};
+
+/**
+ * Creates a new color from CIE Lab values in the current color mode, e.g. a RGB color in b.colorMode(b.RGB).
+ * Use b.colorMode(b.LAB) and b.color() to create Lab colors instead.
+ *
+ * @cat Color
+ * @method fromLab
+ * @param  {Number|Number[]} l The lightness from 0 to 100. Alternatively: an array [L, a, b] as returned by b.toLab()
+ * @param  {Number} a The a component from -128 to 127
+ * @param  {Number} b The b component from -128 to 127
+ * @param  {String} [name] Optional name of the color
+ * @return {Color} The new color
+ */
+pub.fromLab = function(l, a, bb, name) {
+  if (isArray(l)) {
+    name = a;
+    bb = l[2];
+    a = l[1];
+    l = l[0];
+  }
+  if (!(isNumber(l) && isNumber(a) && isNumber(bb))) {
+    error("b.fromLab(), wrong parameters. Use: L,a,b,[name] or arrayOfLab,[name]");
+  }
+
+  var props;
+  if (currColorMode === pub.LAB) {
+    props = labColorProps(l, a, bb, name);
+  } else {
+    var mode = currColorMode;
+    if (mode === pub.HSB || mode === pub.HSL) {
+      mode = colorModeOfSpace(documentColorSpace());
+    }
+    var values = rgbValuesIn(labToRgb(l, a, bb), mode);
+    props = processColorProps(spaceOfColorMode(mode), roundValues(values), name);
+  }
+  if (currColorType === pub.SPOT) {
+    spotColorProps(props, typeof name === "string");
+  }
+  return addColor(props);
+};
+
+/**
+ * Calculates the perceived difference between two colors as Delta E (CIEDE2000). A difference below 1 is not noticeable,
+ * colors with a difference of 2 to 10 are noticeable at a glance, above that they are clearly different colors.
+ * Use it e.g. to find the closest color of a palette or to check whether neighbouring colors are distinguishable.
+ *
+ * @cat Color
+ * @method colorDistance
+ * @param  {Color|Number[]} c1 Input color 1 or its Lab values [L, a, b]
+ * @param  {Color|Number[]} c2 Input color 2 or its Lab values [L, a, b]
+ * @return {Number} The Delta E between the two colors
+ */
+pub.colorDistance = function(c1, c2) {
+  checkNull(c1);
+  checkNull(c2);
+  var lab1 = isArray(c1) ? c1 : pub.toLab(c1);
+  var lab2 = isArray(c2) ? c2 : pub.toLab(c2);
+  return deltaE2000(lab1, lab2);
+};
+
+/**
+ * Calculates the contrast ratio between two colors as defined by the Web Content Accessibility Guidelines (WCAG).
+ * The ratio ranges from 1 (no contrast) to 21 (black on white). WCAG level AA requires a ratio of at least 4.5
+ * for normal text and 3 for large text, level AAA requires 7 and 4.5.
+ *
+ * @cat Color
+ * @method contrast
+ * @param  {Color|Tint|String} c1 Input color 1 or its name
+ * @param  {Color|Tint|String} c2 Input color 2 or its name
+ * @return {Number} The contrast ratio between the two colors
+ */
+pub.contrast = function(c1, c2) {
+  checkNull(c1);
+  checkNull(c2);
+  var rgb1 = swatchToRgb(typeof c1 === "string" ? pub.color(c1) : c1);
+  var rgb2 = swatchToRgb(typeof c2 === "string" ? pub.color(c2) : c2);
+  if (rgb1 === null || rgb2 === null) {
+    error("b.contrast(), wrong parameters. Use: two colors or tints");
+  }
+  return contrastRatio(rgb1, rgb2);
+};
+
+/**
+ * Checks all text in the given container for sufficient contrast against its background, following the WCAG
+ * contrast requirements. The background of the text is the fill of its text frame or, if the frame has no fill,
+ * the topmost filled item on the page underneath the frame or otherwise the paper color. Every text with
+ * insufficient contrast is reported as a warning and returned. Text in gradients or mixed inks is skipped.
+ *
+ * @cat Color
+ * @method checkContrast
+ * @param  {Document|Page|Story|TextFrame} [container] The container to check, defaults to the current document
+ * @param  {Number} [minRatio] Optional: The required contrast ratio. Defaults to the WCAG AA requirements,
+ *                             4.5 for normal text and 3 for large text (18pt or 14pt bold)
+ * @return {Object[]} Array of objects with the properties text, textFrame, color, background, ratio and minRatio
+ */
+pub.checkContrast = function(container, minRatio) {
+  if (typeof container === "number") {
+    minRatio = container;
+    container = null;
+  }
+  if (!container) {
+    container = currentDoc();
+  }
+
+  var results = [];
+  pub.paragraphs(container, function(para) {
+    var frames = para.parentTextFrames;
+    if (frames.length === 0) {
+      return; // overset text
+    }
+    var frame = frames[0];
+    var background = textBackground(frame);
+    var backgroundRgb = swatchToRgb(background.swatch, background.tint);
+    if (backgroundRgb === null) {
+      return;
+    }
+
+    var ranges = para.textStyleRanges;
+    for (var i = 0; i < ranges.length; i++) {
+      var range = ranges[i];
+      var rgb = swatchToRgb(range.fillColor, range.fillTint);
+      if (rgb === null || range.contents.replace(/\s/g, "") === "") {
+        continue;
+      }
+      var required = minRatio;
+      if (typeof required !== "number") {
+        var large = range.pointSize >= 18 || (range.pointSize >= 14 && /bold|black|heavy/i.test(range.fontStyle));
+        required = large ? 3 : 4.5;
+      }
+      var ratio = contrastRatio(rgb, backgroundRgb);
+      if (ratio < required) {
+        warning("b.checkContrast(), contrast of " + precision(ratio, 2) + ":1 is below " + required + ":1 for the text \"" + range.contents + "\"");
+        results.push({
+          text: range,
+          textFrame: frame,
+          color: range.fillColor,
+          background: background.swatch,
+          ratio: ratio,
+          minRatio: required
+        });
+      }
+    }
+  });
+  return results;
+};
+
+// ----------------------------------------
+// all private from here
+
+var addColor = function(props) {
+  // check whether color was already created and added to colors,
+  // keeps the document clean ...
+  var newCol = currentDoc().colors.itemByName(props.name);
+  if (!newCol.isValid) {
+    newCol = currentDoc().colors.add();
+  }
+  newCol.properties = props;
+  return newCol;
+};
+
+var processColorProps = function(space, colorValue, name) {
+  var props = {
+    model: ColorModel.PROCESS,
+    space: space,
+    colorValue: colorValue
+  };
+  if (typeof name === "string") {
+    props.name = name;
+  } else if (space === ColorSpace.RGB) {
+    props.name = "R=" + colorValue[0] + " G=" + colorValue[1] + " B=" + colorValue[2];
+  } else if (space === ColorSpace.LAB) {
+    props.name = "L=" + colorValue[0] + " a=" + colorValue[1] + " b=" + colorValue[2];
+  } else {
+    props.name = "C=" + colorValue[0] + " M=" + colorValue[1] + " Y=" + colorValue[2] + " K=" + colorValue[3];
+  }
+  return props;
+};
+
+// turns process color props into spot color props, generated names get a prefix
+// so that unnamed spot and process colors with the same values don't share a swatch
+var spotColorProps = function(props, named) {
+  props.model = ColorModel.SPOT;
+  if (!named) {
+    props.name = "Spot " + props.name;
+  }
+  return props;
+};
+
+// process color space HSB and HSL colors get converted to
+var documentColorSpace = function() {
+  if (currentDoc().documentPreferences.intent === DocumentIntentOptions.PRINT_INTENT) {
+    return ColorSpace.CMYK;
+  }
+  return ColorSpace.RGB;
+};
+
+// h: 0-360, s: 0-100, bl: brightness or lightness 0-100, depending on the current color mode
+var hueColorProps = function(h, s, bl, name) {
+  h = pub.constrain(h, 0, 360);
+  s = pub.constrain(s, 0, 100);
+  bl = pub.constrain(bl, 0, 100);
+
+  var rgb = currColorMode === pub.HSB ? hsbToRgb(h, s, bl) : hslToRgb(h, s, bl);
+  if (typeof name !== "string") {
+    name = "H=" + h + " S=" + s + (currColorMode === pub.HSB ? " B=" : " L=") + bl;
+  }
+
+  if (documentColorSpace() === ColorSpace.CMYK) {
+    return processColorProps(ColorSpace.CMYK, roundValues(rgbToCmyk(rgb[0], rgb[1], rgb[2])), name);
+  }
+  return processColorProps(ColorSpace.RGB, roundValues(rgb), name);
+};
+
+// l: 0-100, a and bb: -128-127
+var labColorProps = function(l, a, bb, name) {
+  l = pub.constrain(l, 0, 100);
+  a = pub.constrain(a, -128, 127);
+  bb = pub.constrain(bb, -128, 127);
+  return processColorProps(ColorSpace.LAB, [l, a, bb], name);
+};
+
+// parses hex, rgb(), hsl(), cmyk() and CSS named color strings, returns null if the string is none of them
+var colorStringProps = function(str, name) {
+  var s = str.replace(/\s+/g, "").toLowerCase();
+  var i, values;
+
+  if (cssColorNames.hasOwnProperty(s)) {
+    s = "#" + cssColorNames[s];
+  }
+
+  if (/^#([0-9a-f]{3}){1,2}$/.test(s)) {
+    if (s.length === 4) {
+      s = "#" + s.charAt(1) + s.charAt(1) + s.charAt(2) + s.charAt(2) + s.charAt(3) + s.charAt(3);
+    }
+    values = [parseInt(s.substr(1, 2), 16), parseInt(s.substr(3, 2), 16), parseInt(s.substr(5, 2), 16)];
+    return processColorProps(ColorSpace.RGB, values, name);
+  }
+
+  var match = s.match(/^(rgb|hsl|cmyk)\(([0-9.,%]+)\)$/);
+  if (match === null) {
+    return null;
+  }
+  values = match[2].split(",");
+  if (values.length !== (match[1] === "cmyk" ? 4 : 3)) {
+    return null;
+  }
+  var percentages = [];
+  for (i = 0; i < values.length; i++) {
+    percentages[i] = values[i].charAt(values[i].length - 1) === "%";
+    values[i] = values[i].replace(/%$/, "");
+    if (!isNumber(values[i])) {
+      return null;
+    }
+    values[i] = parseFloat(values[i]);
+  }
+
+  if (match[1] === "rgb") {
+    for (i = 0; i < 3; i++) {
+      // rgb() channels can be given in 0-255 or in percent
+      values[i] = percentages[i] ? Math.round(values[i] * 255 / 100) : values[i];
+      values[i] = pub.constrain(values[i], 0, 255);
+    }
+    return processColorProps(ColorSpace.RGB, values, name);
+  }
+  if (match[1] === "hsl") {
+    values = hslToRgb(pub.constrain(values[0], 0, 360), pub.constrain(values[1], 0, 100), pub.constrain(values[2], 0, 100));
+    return processColorProps(ColorSpace.RGB, roundValues(values), name);
+  }
+  for (i = 0; i < 4; i++) {
+    values[i] = pub.constrain(values[i], 0, 100);
+  }
+  return processColorProps(ColorSpace.CMYK, values, name);
+};
+
+// maps InDesign color spaces to basil color modes and back
+var colorModeOfSpace = function(space) {
+  if (space === ColorSpace.RGB) {
+    return pub.RGB;
+  } else if (space === ColorSpace.CMYK) {
+    return pub.CMYK;
+  } else if (space === ColorSpace.LAB) {
+    return pub.LAB;
+  }
+  return error("Only RGB, CMYK and Lab colors are supported.");
+};
+
+var spaceOfColorMode = function(mode) {
+  if (mode === pub.CMYK) {
+    return ColorSpace.CMYK;
+  } else if (mode === pub.LAB) {
+    return ColorSpace.LAB;
+  }
+  return ColorSpace.RGB;
+};
+
+// values of the given color in the color space of the given mode,
+// the values are only converted if the color is in a different color space
+var colorValuesIn = function(color, mode) {
+  if (colorModeOfSpace(color.space) === mode) {
+    return color.colorValue.slice(0);
+  }
+  return rgbValuesIn(colorToRgb(color), mode);
+};
+
+var colorToRgb = function(color) {
+  return valuesToRgb(color.colorValue, colorModeOfSpace(color.space));
+};
+
+var valuesToRgb = function(values, mode) {
+  if (mode === pub.CMYK) {
+    return cmykToRgb(values[0], values[1], values[2], values[3]);
+  } else if (mode === pub.HSB) {
+    return hsbToRgb(values[0], values[1], values[2]);
+  } else if (mode === pub.LAB) {
+    return labToRgb(values[0], values[1], values[2]);
+  }
+  return values.slice(0);
+};
+
+var rgbValuesIn = function(rgb, mode) {
+  if (mode === pub.CMYK) {
+    return rgbToCmyk(rgb[0], rgb[1], rgb[2]);
+  } else if (mode === pub.HSB) {
+    return rgbToHsb(rgb[0], rgb[1], rgb[2]);
+  } else if (mode === pub.LAB) {
+    return rgbToLab(rgb[0], rgb[1], rgb[2]);
+  }
+  return rgb;
+};
+
+var roundValues = function(values) {
+  var result = [];
+  for (var i = 0; i < values.length; i++) {
+    result.push(Math.round(values[i]));
+  }
+  return result;
+};
+
+// the conversions below work with R,G,B 0-255, C,M,Y,K 0-100, H 0-360 and S,B,L 0-100
+var hsbToRgb = function(h, s, v) {
+  s /= 100;
+  v /= 100;
+  var c = v * s;
+  return hueToRgb(h, c, v - c);
+};
+
+var hslToRgb = function(h, s, l) {
+  s /= 100;
+  l /= 100;
+  var c = (1 - Math.abs(2 * l - 1)) * s;
+  return hueToRgb(h, c, l - c / 2);
+};
+
+// c: chroma, m: amount to add to each channel to match the brightness/lightness
+var hueToRgb = function(h, c, m) {
+  var hh = (h % 360) / 60;
+  var x = c * (1 - Math.abs(hh % 2 - 1));
+  var rgb;
+
+  if (hh < 1) {
+    rgb = [c, x, 0];
+  } else if (hh < 2) {
+    rgb = [x, c, 0];
+  } else if (hh < 3) {
+    rgb = [0, c, x];
+  } else if (hh < 4) {
+    rgb = [0, x, c];
+  } else if (hh < 5) {
+    rgb = [x, 0, c];
   } else {
-    error("b.lerpColor(), wrong parameters. Use: two colors (of the same type) and a number.");
+    rgb = [c, 0, x];
+  }
+  return [(rgb[0] + m) * 255, (rgb[1] + m) * 255, (rgb[2] + m) * 255];
+};
+
+var rgbToHsb = function(r, g, b) {
+  var max = Math.max(r, g, b);
+  var c = max - Math.min(r, g, b);
+  var h = 0;
+
+  if (c > 0) {
+    if (max === r) {
+      h = ((g - b) / c + 6) % 6;
+    } else if (max === g) {
+      h = (b - r) / c + 2;
+    } else {
+      h = (r - g) / c + 4;
+    }
   }
+  return [h * 60, max === 0 ? 0 : c / max * 100, max / 255 * 100];
+};
+
+// naive conversions without color management, good enough for generative use
+var cmykToRgb = function(c, m, y, k) {
+  return [
+    255 * (1 - c / 100) * (1 - k / 100),
+    255 * (1 - m / 100) * (1 - k / 100),
+    255 * (1 - y / 100) * (1 - k / 100)
+  ];
+};
+
+var rgbToCmyk = function(r, g, b) {
+  r /= 255;
+  g /= 255;
+  b /= 255;
+  var k = 1 - Math.max(r, g, b);
+  if (k === 1) {
+    return [0, 0, 0, 100];
+  }
+  return [
+    (1 - r - k) / (1 - k) * 100,
+    (1 - g - k) / (1 - k) * 100,
+    (1 - b - k) / (1 - k) * 100,
+    k * 100
+  ];
+};
+
+// sRGB <-> CIE Lab, using the D50 white point like the Lab colors in InDesign,
+// the matrices are Bradford adapted, see http://www.brucelindbloom.com/index.html?Eqn_RGB_XYZ_Matrix.html
+var rgbToLab = function(r, g, b) {
+  var toLinear = function(c) {
+    c /= 255;
+    return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+  };
+  var f = function(t) {
+    return t > 0.008856 ? Math.pow(t, 1 / 3) : 7.787 * t + 16 / 116;
+  };
+  r = toLinear(r);
+  g = toLinear(g);
+  b = toLinear(b);
+
+  var fx = f((r * 0.4360747 + g * 0.3850649 + b * 0.1430804) / 0.96422);
+  var fy = f(r * 0.2225045 + g * 0.7168786 + b * 0.0606169);
+  var fz = f((r * 0.0139322 + g * 0.0971045 + b * 0.7141733) / 0.82521);
+
+  return [116 * fy - 16, 500 * (fx - fy), 200 * (fy - fz)];
+};
+
+var labToRgb = function(l, a, b) {
+  var fInv = function(t) {
+    return t > 0.206893 ? t * t * t : (t - 16 / 116) / 7.787;
+  };
+  var fromLinear = function(c) {
+    c = c <= 0.0031308 ? c * 12.92 : 1.055 * Math.pow(c, 1 / 2.4) - 0.055;
+    return pub.constrain(c * 255, 0, 255);
+  };
+  var fy = (l + 16) / 116;
+  var x = fInv(fy + a / 500) * 0.96422;
+  var y = fInv(fy);
+  var z = fInv(fy - b / 200) * 0.82521;
+
+  return [
+    fromLinear(x * 3.1338561 - y * 1.6168667 - z * 0.4906146),
+    fromLinear(-x * 0.9787684 + y * 1.9161415 + z * 0.0334540),
+    fromLinear(x * 0.0719453 - y * 0.2289914 + z * 1.4052427)
+  ];
+};
+
+// returns the R,G,B values of a color or tint as seen on paper, null for swatches
+// that can not be converted like gradients, mixed inks or "None"
+var swatchToRgb = function(swatch, tint) {
+  var rgb;
+  if (swatch instanceof Tint) {
+    rgb = swatchToRgb(swatch.baseColor, swatch.tintValue);
+  } else if (swatch instanceof Color &&
+             swatch.model !== ColorModel.MIXEDINKMODEL &&
+             swatch.model !== ColorModel.REGISTRATION &&
+             (swatch.space === ColorSpace.RGB || swatch.space === ColorSpace.CMYK || swatch.space === ColorSpace.LAB)) {
+    rgb = colorToRgb(swatch);
+  } else {
+    return null;
+  }
+  if (typeof tint !== "number" || tint < 0) {
+    tint = 100; // -1 means the tint is not overridden
+  }
+  for (var i = 0; i < 3; i++) {
+    rgb[i] = 255 - (255 - pub.constrain(rgb[i], 0, 255)) * tint / 100;
+  }
+  return rgb;
+};
+
+// WCAG relative luminance, see https://www.w3.org/TR/WCAG20/#relativeluminancedef
+var relativeLuminance = function(rgb) {
+  var linear = [];
+  for (var i = 0; i < 3; i++) {
+    var c = rgb[i] / 255;
+    linear.push(c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4));
+  }
+  return 0.2126 * linear[0] + 0.7152 * linear[1] + 0.0722 * linear[2];
+};
+
+var contrastRatio = function(rgb1, rgb2) {
+  var l1 = relativeLuminance(rgb1);
+  var l2 = relativeLuminance(rgb2);
+  return (Math.max(l1, l2) + 0.05) / (Math.min(l1, l2) + 0.05);
+};
+
+// the fill of the frame, else the topmost filled item underneath it on the page, else the paper
+var textBackground = function(frame) {
+  var paper = {swatch: currentDoc().colors.itemByName("Paper"), tint: 100};
+  if (frame.fillColor.name !== "None") {
+    return {swatch: frame.fillColor, tint: frame.fillTint};
+  }
+
+  var page = frame.parentPage;
+  if (!page) {
+    return paper;
+  }
+  var top = frame;
+  while (top.parent instanceof Group) {
+    top = top.parent;
+  }
+  var bounds = frame.geometricBounds; // [y1, x1, y2, x2]
+  var items = page.pageItems; // ordered from front to back
+  var below = false;
+  for (var i = 0; i < items.length; i++) {
+    var item = items[i];
+    if (item.id === top.id) {
+      below = true;
+      continue;
+    }
+    if (!below || !item.hasOwnProperty("fillColor") || item.fillColor.name === "None") {
+      continue;
+    }
+    var itemBounds = item.geometricBounds;
+    if (itemBounds[0] < bounds[2] && itemBounds[2] > bounds[0] && itemBounds[1] < bounds[3] && itemBounds[3] > bounds[1]) {
+      return {swatch: item.fillColor, tint: item.fillTint};
+    }
+  }
+  return paper;
+};
+
+// the transparency effects: their settings object, the property that enables them and the
+// properties that can be set and read through the option object
+var effectTypes = {
+  dropShadow: {
+    settings: "dropShadowSettings",
+    enable: ["mode", "DROP"],
+    props: ["effectColor", "opacity", "blendMode", "angle", "distance", "xOffset", "yOffset", "size", "spread", "noise",
+      "useGlobalLight", "knockedOut", "honorOtherEffects"]
+  },
+  innerShadow: {
+    settings: "innerShadowSettings",
+    enable: ["applied", true],
+    props: ["effectColor", "opacity", "blendMode", "angle", "distance", "xOffset", "yOffset", "size", "choke", "noise",
+      "useGlobalLight"]
+  },
+  outerGlow: {
+    settings: "outerGlowSettings",
+    enable: ["applied", true],
+    props: ["effectColor", "opacity", "blendMode", "size", "spread", "noise", "technique"]
+  },
+  innerGlow: {
+    settings: "innerGlowSettings",
+    enable: ["applied", true],
+    props: ["effectColor", "opacity", "blendMode", "size", "choke", "noise", "technique", "source"]
+  },
+  feather: {
+    settings: "featherSettings",
+    enable: ["mode", "STANDARD"],
+    props: ["width", "choke", "noise", "cornerType"]
+  },
+  gradientFeather: {
+    settings: "gradientFeatherSettings",
+    enable: ["applied", true],
+    props: ["type", "angle", "length", "gradientStart", "hiliteAngle", "hiliteLength"]
+  }
+};
+
+var checkTransparencySettings = function(name, obj) {
+  checkNull(obj);
+  if (!obj.hasOwnProperty("transparencySettings")) {
+    error("b." + name + "(), the object " + obj.toString() + " doesn't have transparency effects");
+  }
+};
+
+var effect = function(name, obj, options) {
+  checkTransparencySettings(name, obj);
+  var type = effectTypes[name];
+  var settings = obj.transparencySettings[type.settings];
+  var enableProp = type.enable[0];
+  var enums = {mode: name === "feather" ? FeatherMode : ShadowMode};
+  var i, key;
+
+  if (options === false) {
+    settings[enableProp] = enableProp === "mode" ? enums.mode.NONE : false;
+  } else if (typeof options === "object" && options !== null) {
+    // validate all options before the effect is changed
+    var values = {};
+    for (key in options) {
+      if (!options.hasOwnProperty(key)) {
+        continue;
+      }
+      var prop = key === "color" ? "effectColor" : key;
+      var value = options[key];
+      var known = false;
+      for (i = 0; i < type.props.length; i++) {
+        if (type.props[i] === prop) {
+          known = true;
+          break;
+        }
+      }
+      if (!known) {
+        error("b." + name + "(), unknown option \"" + key + "\". Use: " + type.props.join(", ").replace("effectColor", "color"));
+      }
+      if (prop === "effectColor" && typeof value === "string") {
+        value = pub.color(value);
+      }
+      values[prop] = value;
+    }
+    settings[enableProp] = enableProp === "mode" ? enums.mode[type.enable[1]] : true;
+    for (prop in values) {
+      if (values.hasOwnProperty(prop)) {
+        settings[prop] = values[prop];
+      }
+    }
+  } else if (typeof options !== "undefined") {
+    error("b." + name + "(), wrong parameters. Use: obj, [options] or obj, false");
+  }
+
+  var result = {
+    applied: enableProp === "mode" ? settings.mode !== enums.mode.NONE : settings.applied
+  };
+  for (i = 0; i < type.props.length; i++) {
+    key = type.props[i] === "effectColor" ? "color" : type.props[i];
+    result[key] = settings[type.props[i]];
+  }
+  return result;
+};
+
+// CIEDE2000 color difference, see http://www2.ece.rochester.edu/~gsharma/ciede2000/
+var deltaE2000 = function(lab1, lab2) {
+  var rad = Math.PI / 180;
+  var hueAngle = function(bb, ap) {
+    if (bb === 0 && ap === 0) {
+      return 0;
+    }
+    var h = Math.atan2(bb, ap) / rad;
+    return h < 0 ? h + 360 : h;
+  };
+
+  var l1 = lab1[0];
+  var a1 = lab1[1];
+  var b1 = lab1[2];
+  var l2 = lab2[0];
+  var a2 = lab2[1];
+  var b2 = lab2[2];
+
+  var cBar = (Math.sqrt(a1 * a1 + b1 * b1) + Math.sqrt(a2 * a2 + b2 * b2)) / 2;
+  var g = 0.5 * (1 - Math.sqrt(Math.pow(cBar, 7) / (Math.pow(cBar, 7) + Math.pow(25, 7))));
+  var a1p = a1 * (1 + g);
+  var a2p = a2 * (1 + g);
+  var c1p = Math.sqrt(a1p * a1p + b1 * b1);
+  var c2p = Math.sqrt(a2p * a2p + b2 * b2);
+  var h1p = hueAngle(b1, a1p);
+  var h2p = hueAngle(b2, a2p);
+
+  var dLp = l2 - l1;
+  var dCp = c2p - c1p;
+  var dhp = 0;
+  if (c1p * c2p !== 0) {
+    dhp = h2p - h1p;
+    if (dhp > 180) {
+      dhp -= 360;
+    } else if (dhp < -180) {
+      dhp += 360;
+    }
+  }
+  var dHp = 2 * Math.sqrt(c1p * c2p) * Math.sin(dhp / 2 * rad);
+
+  var lBarP = (l1 + l2) / 2;
+  var cBarP = (c1p + c2p) / 2;
+  var hBarP = h1p + h2p;
+  if (c1p * c2p !== 0) {
+    if (Math.abs(h1p - h2p) <= 180) {
+      hBarP /= 2;
+    } else if (h1p + h2p < 360) {
+      hBarP = (hBarP + 360) / 2;
+    } else {
+      hBarP = (hBarP - 360) / 2;
+    }
+  }
+
+  var t = 1 - 0.17 * Math.cos((hBarP - 30) * rad) +
+    0.24 * Math.cos(2 * hBarP * rad) +
+    0.32 * Math.cos((3 * hBarP + 6) * rad) -
+    0.20 * Math.cos((4 * hBarP - 63) * rad);
+  var dTheta = 30 * Math.exp(-Math.pow((hBarP - 275) / 25, 2));
+  var rc = 2 * Math.sqrt(Math.pow(cBarP, 7) / (Math.pow(cBarP, 7) + Math.pow(25, 7)));
+  var sl = 1 + 0.015 * Math.pow(lBarP - 50, 2) / Math.sqrt(20 + Math.pow(lBarP - 50, 2));
+  var sc = 1 + 0.045 * cBarP;
+  var sh = 1 + 0.015 * cBarP * t;
+  var rt = -Math.sin(2 * dTheta * rad) * rc;
+
+  return Math.sqrt(
+    Math.pow(dLp / sl, 2) +
+    Math.pow(dCp / sc, 2) +
+    Math.pow(dHp / sh, 2) +
+    rt * (dCp / sc) * (dHp / sh)
+  );
+};
+
+// CSS color names, see https://www.w3.org/TR/css-color-4/#named-colors
+var cssColorNames = {
+  aliceblue: "f0f8ff", antiquewhite: "faebd7", aqua: "00ffff", aquamarine: "7fffd4", azure: "f0ffff",
+  beige: "f5f5dc", bisque: "ffe4c4", black: "000000", blanchedalmond: "ffebcd", blue: "0000ff",
+  blueviolet: "8a2be2", brown: "a52a2a", burlywood: "deb887", cadetblue: "5f9ea0", chartreuse: "7fff00",
+  chocolate: "d2691e", coral: "ff7f50", cornflowerblue: "6495ed", cornsilk: "fff8dc", crimson: "dc143c",
+  cyan: "00ffff", darkblue: "00008b", darkcyan: "008b8b", darkgoldenrod: "b8860b", darkgray: "a9a9a9",
+  darkgreen: "006400", darkgrey: "a9a9a9", darkkhaki: "bdb76b", darkmagenta: "8b008b", darkolivegreen: "556b2f",
+  darkorange: "ff8c00", darkorchid: "9932cc", darkred: "8b0000", darksalmon: "e9967a", darkseagreen: "8fbc8f",
+  darkslateblue: "483d8b", darkslategray: "2f4f4f", darkslategrey: "2f4f4f", darkturquoise: "00ced1", darkviolet: "9400d3",
+  deeppink: "ff1493", deepskyblue: "00bfff", dimgray: "696969", dimgrey: "696969", dodgerblue: "1e90ff",
+  firebrick: "b22222", floralwhite: "fffaf0", forestgreen: "228b22", fuchsia: "ff00ff", gainsboro: "dcdcdc",
+  ghostwhite: "f8f8ff", gold: "ffd700", goldenrod: "daa520", gray: "808080", green: "008000",
+  greenyellow: "adff2f", grey: "808080", honeydew: "f0fff0", hotpink: "ff69b4", indianred: "cd5c5c",
+  indigo: "4b0082", ivory: "fffff0", khaki: "f0e68c", lavender: "e6e6fa", lavenderblush: "fff0f5",
+  lawngreen: "7cfc00", lemonchiffon: "fffacd", lightblue: "add8e6", lightcoral: "f08080", lightcyan: "e0ffff",
+  lightgoldenrodyellow: "fafad2", lightgray: "d3d3d3", lightgreen: "90ee90", lightgrey: "d3d3d3", lightpink: "ffb6c1",
+  lightsalmon: "ffa07a", lightseagreen: "20b2aa", lightskyblue: "87cefa", lightslategray: "778899", lightslategrey: "778899",
+  lightsteelblue: "b0c4de", lightyellow: "ffffe0", lime: "00ff00", limegreen: "32cd32", linen: "faf0e6",
+  magenta: "ff00ff", maroon: "800000", mediumaquamarine: "66cdaa", mediumblue: "0000cd", mediumorchid: "ba55d3",
+  mediumpurple: "9370db", mediumseagreen: "3cb371", mediumslateblue: "7b68ee", mediumspringgreen: "00fa9a", mediumturquoise: "48d1cc",
+  mediumvioletred: "c71585", midnightblue: "191970", mintcream: "f5fffa", mistyrose: "ffe4e1", moccasin: "ffe4b5",
+  navajowhite: "ffdead", navy: "000080", oldlace: "fdf5e6", olive: "808000", olivedrab: "6b8e23",
+  orange: "ffa500", orangered: "ff4500", orchid: "da70d6", palegoldenrod: "eee8aa", palegreen: "98fb98",
+  paleturquoise: "afeeee", palevioletred: "db7093", papayawhip: "ffefd5", peachpuff: "ffdab9", peru: "cd853f",
+  pink: "ffc0cb", plum: "dda0dd", powderblue: "b0e0e6", purple: "800080", rebeccapurple: "663399",
+  red: "ff0000", rosybrown: "bc8f8f", royalblue: "4169e1", saddlebrown: "8b4513", salmon: "fa8072",
+  sandybrown: "f4a460", seagreen: "2e8b57", seashell: "fff5ee", sienna: "a0522d", silver: "c0c0c0",
+  skyblue: "87ceeb", slateblue: "6a5acd", slategray: "708090", slategrey: "708090", snow: "fffafa",
+  springgreen: "00ff7f", steelblue: "4682b4", tan: "d2b48c", teal: "008080", thistle: "d8bfd8",
+  tomato: "ff6347", turquoise: "40e0d0", violet: "ee82ee", wheat: "f5deb3", white: "ffffff",
+  whitesmoke: "f5f5f5", yellow: "ffff00", yellowgreen: "9acd32"
 };
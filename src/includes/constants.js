@@ -53,6 +53,86 @@ pub.RGB = "rgb";
  */
 pub.CMYK = "cmyk";
 
+/**
+ * Used with b.colorMode() to set the color space. Colors are specified as hue (0-360),
+ * saturation (0-100) and brightness (0-100).
+ * @property HSB {String}
+ * @cat Color
+ */
+pub.HSB = "hsb";
+
+/**
+ * Used with b.colorMode() to set the color space. Colors are specified as hue (0-360),
+ * saturation (0-100) and lightness (0-100).
+ * @property HSL {String}
+ * @cat Color
+ */
+pub.HSL = "hsl";
+
+/**
+ * Used with b.colorMode() to set the color space and with b.lerpColor() to interpolate in the CIE Lab color space.
+ * Colors are specified as lightness L (0-100) and the color components a and b (-128-127).
+ * @property LAB {String}
+ * @cat Color
+ */
+pub.LAB = "lab";
+
+/**
+ * Used with b.colorType() to create process colors.
+ * @property PROCESS {String}
+ * @cat Color
+ */
+pub.PROCESS = "process";
+
+/**
+ * Used with b.colorType() to create spot colors.
+ * @property SPOT {String}
+ * @cat Color
+ */
+pub.SPOT = "spot";
+
+/**
+ * Used with b.palette() to create a base color and its complementary color.
+ * @property COMPLEMENTARY {String}
+ * @cat Color
+ */
+pub.COMPLEMENTARY = "complementary";
+
+/**
+ * Used with b.palette() to create a base color and the two colors evenly spaced around the hue circle.
+ * @property TRIADIC {String}
+ * @cat Color
+ */
+pub.TRIADIC = "triadic";
+
+/**
+ * Used with b.palette() to create colors with neighbouring hues around the base color.
+ * @property ANALOGOUS {String}
+ * @cat Color
+ */
+pub.ANALOGOUS = "analogous";
+
+/**
+ * Used with b.palette() to create a base color and the two neighbours of its complementary color.
+ * @property SPLIT_COMPLEMENTARY {String}
+ * @cat Color
+ */
+pub.SPLIT_COMPLEMENTARY = "split_complementary";
+
+/**
+ * Used with b.palette() to create steps from the base color towards white.
+ * @property TINTS {String}
+ * @cat Color
+ */
+pub.TINTS = "tints";
+
+/**
+ * Used with b.palette() to create steps from the base color towards black.
+ * @property SHADES {String}
+ * @cat Color
+ */
+pub.SHADES = "shades";
+
 /**
  * Used with b.gradientMode() to set the gradient mode.
  * @property LINEAR {String}
@@ -99,6 +179,86 @@ pub.CENTER = "center";
  */
 pub.RADIUS = "radius";
 
+/**
+ * Square, used for strokeCap() to end lines flat at their end points.
+ * @property SQUARE {String}
+ * @cat Document
+ * @subcat Primitives
+ */
+pub.SQUARE = "square";
+
+/**
+ * Project, used for strokeCap() to extend lines by half the stroke weight beyond their end points.
+ * @property PROJECT {String}
+ * @cat Document
+ * @subcat Primitives
+ */
+pub.PROJECT = "project";
+
+/**
+ * Miter, used for strokeJoin() to draw pointed corners.
+ * @property MITER {String}
+ * @cat Document
+ * @subcat Primitives
+ */
+pub.MITER = "miter";
+
+/**
+ * Inside, used for strokeAlign() to draw the stroke inside of the path.
+ * @property INSIDE {String}
+ * @cat Document
+ * @subcat Primitives
+ */
+pub.INSIDE = "inside";
+
+/**
+ * Outside, used for strokeAlign() to draw the stroke outside of the path.
+ * @property OUTSIDE {String}
+ * @cat Document
+ * @subcat Primitives
+ */
+pub.OUTSIDE = "outside";
+
+/**
+ * Round, used for cornerMode() to draw rounded corners, for strokeCap() to draw round line ends and for strokeJoin() to draw round corners.
+ * @property ROUND {String}
+ * @cat Document
+ * @subcat Primitives
+ */
+pub.ROUND = "round";
+
+/**
+ * Inverse round, used for cornerMode() to draw corners rounded to the inside.
+ * @property INVERSE_ROUND {String}
+ * @cat Document
+ * @subcat Primitives
+ */
+pub.INVERSE_ROUND = "inverse_round";
+
+/**
+ * Bevel, used for cornerMode() and strokeJoin() to draw cut off corners.
+ * @property BEVEL {String}
+ * @cat Document
+ * @subcat Primitives
+ */
+pub.BEVEL = "bevel";
+
+/**
+ * Inset, used for cornerMode() to draw corners with a square cut out.
+ * @property INSET {String}
+ * @cat Document
+ * @subcat Primitives
+ */
+pub.INSET = "inset";
+
+/**
+ * Fancy, used for cornerMode() to draw ornamental corners.
+ * @property FANCY {String}
+ * @cat Document
+ * @subcat Primitives
+ */
+pub.FANCY = "fancy";
+
 /**
  * Close, used for endShape() modes.
  * @property CLOSE {String}
@@ -268,6 +428,41 @@ pub.BEFORE = LocationOptions.BEFORE;
  */
 pub.AFTER = LocationOptions.AFTER;
 
+/**
+ * Used with b.textPath() to keep the characters upright and rotate them with the path.
+ * @property RAINBOW {String}
+ * @cat Typography
+ */
+pub.RAINBOW = "rainbow";
+
+/**
+ * Used with b.textPath() to keep the characters vertical and skew them along the path.
+ * @property SKEW {String}
+ * @cat Typography
+ */
+pub.SKEW = "skew";
+
+/**
+ * Used with b.textPath() to keep the characters horizontal and skew them like a 3D ribbon.
+ * @property RIBBON {String}
+ * @cat Typography
+ */
+pub.RIBBON = "ribbon";
+
+/**
+ * Used with b.textPath() to keep the characters upright without rotating them.
+ * @property STAIR_STEP {String}
+ * @cat Typography
+ */
+pub.STAIR_STEP = "stair_step";
+
+/**
+ * Used with b.textPath() to rotate and skew the characters towards the center of the path.
+ * @property GRAVITY {String}
+ * @cat Typography
+ */
+pub.GRAVITY = "gravity";
+
 /**
  * Returns a Lorem ipsum string that can be used for testing.
  * @property LOREM {String}
@@ -8,10 +8,18 @@ var init = function() {
   startTime = Date.now();
   currStrokeWeight = 1;
   currStrokeTint = 100;
+  // null keeps the stroke cap, join, alignment and type of the document until they are set
+  currStrokeCap = null;
+  currStrokeJoin = null;
+  currStrokeAlign = null;
+  currStrokeType = null;
+  currStrokeDash = [];
   currFillTint = 100;
   currCanvasMode = pub.PAGE;
   currColorMode = pub.RGB;
+  currColorType = pub.PROCESS;
   currGradientMode = pub.LINEAR;
+  currCurveTightness = 0;
 };
 
 
@@ -308,6 +316,7 @@ var resetCurrDoc = function() {
   noneSwatchColor = "None";
   currStrokeColor = "Black";
   currRectMode = pub.CORNER;
+  currCornerMode = pub.ROUND;
   currEllipseMode = pub.CENTER;
   currYAlign = VerticalJustification.TOP_ALIGN;
   currFont = null;
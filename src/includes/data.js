@@ -227,6 +227,222 @@ function CSV() {
   }
 }
 
+// Adobe Swatch Exchange (.ase) files, see http://www.selapa.net/swatches/colors/fileformats.php#adobe_ase
+// The data is handled as binary string, one character per byte, as returned by a File with encoding "BINARY".
+pub.ASE = {
+  /**
+   * Function parses the binary string of an Adobe Swatch Exchange (.ase) file into an array of swatch objects. Usage:
+   * var swatches = b.ASE.decode(str);
+   * var str = b.ASE.encode(swatches);
+   *
+   * Each swatch object has the properties name, model ("RGB", "CMYK", "LAB" or "GRAY"), values, type ("global", "spot" or "normal")
+   * and group (the name of the swatch group or null). Values are given as RGB 0-255, CMYK 0-100, Lab L 0-100 and a, b -128-127
+   * and GRAY 0 (black) to 100 (white).
+   *
+   * @cat Data
+   * @subcat ASE
+   * @method ASE.decode
+   * @param  {String} String to be parsed, one character per byte.
+   * @return {Object[]} Returns an array of swatch objects
+   */
+  decode: function(data) {
+    if (typeof data !== "string" || data.substr(0, 4) !== "ASEF") {
+      error("b.ASE.decode(), invalid data, not an Adobe Swatch Exchange file.");
+    }
+    var reader = new AseReader(data);
+    reader.pos = 8; // signature and version
+    var blockCount = reader.uint32();
+    var swatches = [];
+    var group = null;
+
+    for (var i = 0; i < blockCount && reader.pos < data.length; i++) {
+      var blockType = reader.uint16();
+      var blockLength = reader.uint32();
+      var blockEnd = reader.pos + blockLength;
+
+      if (blockType === 0xC001) {
+        group = reader.name();
+      } else if (blockType === 0xC002) {
+        group = null;
+      } else if (blockType === 0x0001) {
+        var swatch = {name: reader.name(), values: [], group: group};
+        swatch.model = pub.trim(data.substr(reader.pos, 4)).toUpperCase();
+        reader.pos += 4;
+        if (!aseModels.hasOwnProperty(swatch.model)) {
+          error("b.ASE.decode(), unsupported color model \"" + swatch.model + "\" of swatch \"" + swatch.name + "\".");
+        }
+        var scale = aseModels[swatch.model];
+        for (var j = 0; j < scale.length; j++) {
+          swatch.values.push(precision(reader.float32() * scale[j], 4));
+        }
+        swatch.type = aseTypes[reader.uint16()] || "normal";
+        swatches.push(swatch);
+      }
+      reader.pos = blockEnd;
+    }
+    return swatches;
+  },
+
+  /**
+   * Function converts an array of swatch objects to the binary string of an Adobe Swatch Exchange (.ase) file. Usage:
+   * var str = b.ASE.encode(swatches);
+   * var swatches = b.ASE.decode(str);
+   *
+   * See b.ASE.decode() for the properties of the swatch objects. Consecutive swatches with the same group are written into one swatch group.
+   *
+   * @cat Data
+   * @subcat ASE
+   * @method ASE.encode
+   * @param  {Object[]} Array of swatch objects to be converted
+   * @return {String} Returns the binary string, one character per byte.
+   */
+  encode: function(swatches) {
+    var blocks = [];
+    var group = null;
+
+    for (var i = 0; i < swatches.length; i++) {
+      var swatch = swatches[i];
+      var swatchGroup = typeof swatch.group === "string" ? swatch.group : null;
+      if (swatchGroup !== group) {
+        if (group !== null) {
+          blocks.push(aseBlock(0xC002, ""));
+        }
+        if (swatchGroup !== null) {
+          blocks.push(aseBlock(0xC001, aseName(swatchGroup)));
+        }
+        group = swatchGroup;
+      }
+
+      var model = typeof swatch.model === "string" ? swatch.model.toUpperCase() : "";
+      if (!aseModels.hasOwnProperty(model)) {
+        error("b.ASE.encode(), unsupported color model \"" + swatch.model + "\" of swatch \"" + swatch.name + "\". Use: RGB, CMYK, LAB or GRAY");
+      }
+      var scale = aseModels[model];
+      var content = aseName(swatch.name) + (model + "   ").substr(0, 4);
+      for (var j = 0; j < scale.length; j++) {
+        content += aseFloat32(swatch.values[j] / scale[j]);
+      }
+      var type = 2;
+      for (var t = 0; t < aseTypes.length; t++) {
+        if (aseTypes[t] === swatch.type) {
+          type = t;
+        }
+      }
+      content += aseUint(type, 2);
+      blocks.push(aseBlock(0x0001, content));
+    }
+    if (group !== null) {
+      blocks.push(aseBlock(0xC002, ""));
+    }
+    return "ASEF" + aseUint(1, 2) + aseUint(0, 2) + aseUint(blocks.length, 4) + blocks.join("");
+  }
+};
+
+// factors from the values stored in the file to the values used by basil
+var aseModels = {
+  RGB: [255, 255, 255],
+  CMYK: [100, 100, 100, 100],
+  LAB: [100, 1, 1],
+  GRAY: [100]
+};
+
+var aseTypes = ["global", "spot", "normal"];
+
+var AseReader = function(data) {
+  this.pos = 0;
+
+  this.uint16 = function() {
+    this.pos += 2;
+    return data.charCodeAt(this.pos - 2) << 8 | data.charCodeAt(this.pos - 1);
+  };
+
+  this.uint32 = function() {
+    return this.uint16() * 0x10000 + this.uint16();
+  };
+
+  this.float32 = function() {
+    var b0 = data.charCodeAt(this.pos),
+      b1 = data.charCodeAt(this.pos + 1),
+      b2 = data.charCodeAt(this.pos + 2),
+      b3 = data.charCodeAt(this.pos + 3);
+    this.pos += 4;
+
+    var sign = b0 >> 7 ? -1 : 1;
+    var exponent = (b0 & 0x7F) << 1 | b1 >> 7;
+    var mantissa = (b1 & 0x7F) * 0x10000 + b2 * 0x100 + b3;
+    if (exponent === 0) {
+      return sign * mantissa * Math.pow(2, -149);
+    } else if (exponent === 0xFF) {
+      return mantissa ? NaN : sign * Infinity;
+    }
+    return sign * (1 + mantissa / 0x800000) * Math.pow(2, exponent - 127);
+  };
+
+  // UTF-16 string, prefixed with its length and terminated by a null character
+  this.name = function() {
+    var length = this.uint16();
+    var name = "";
+    for (var i = 0; i < length; i++) {
+      var charCode = this.uint16();
+      if (charCode !== 0) {
+        name += String.fromCharCode(charCode);
+      }
+    }
+    return name;
+  };
+};
+
+var aseUint = function(value, bytes) {
+  var result = "";
+  for (var i = bytes - 1; i >= 0; i--) {
+    result += String.fromCharCode(Math.floor(value / Math.pow(256, i)) % 256);
+  }
+  return result;
+};
+
+var aseFloat32 = function(value) {
+  var sign = value < 0 ? 1 : 0;
+  var exponent = 0;
+  var mantissa = 0;
+  value = Math.abs(value);
+
+  if (value > 0) {
+    exponent = Math.floor(Math.log(value) / Math.LN2);
+    if (value / Math.pow(2, exponent) >= 2) {
+      exponent++;
+    } else if (value / Math.pow(2, exponent) < 1) {
+      exponent--;
+    }
+    if (exponent < -126) {
+      // denormalized number
+      mantissa = Math.round(value / Math.pow(2, -149));
+      exponent = 0;
+    } else {
+      mantissa = Math.round((value / Math.pow(2, exponent) - 1) * 0x800000);
+      if (mantissa === 0x800000) {
+        mantissa = 0;
+        exponent++;
+      }
+      exponent += 127;
+    }
+  }
+  return String.fromCharCode(sign << 7 | exponent >> 1) +
+    String.fromCharCode((exponent & 1) << 7 | Math.floor(mantissa / 0x10000)) +
+    aseUint(mantissa % 0x10000, 2);
+};
+
+var aseName = function(name) {
+  var result = aseUint(name.length + 1, 2);
+  for (var i = 0; i < name.length; i++) {
+    result += aseUint(name.charCodeAt(i), 2);
+  }
+  return result + aseUint(0, 2);
+};
+
+var aseBlock = function(type, content) {
+  return aseUint(type, 2) + aseUint(content.length, 4) + content;
+};
+
 // -- Conversion --
 
 /**  @class b */
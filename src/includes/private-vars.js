@@ -4,6 +4,10 @@ var addToStoryCache = null, /* tmp cache, see addToStroy(), via indesign externa
   currAlign = null,
   currCanvasMode = null,
   currColorMode = null,
+  currColorType = null,
+  currCornerMode = null,
+  currCurveTightness = null,
+  currCurveVertexPoints = null,
   currDoc = null,
   currEllipseMode = null,
   currFillColor = null,
@@ -12,6 +16,7 @@ var addToStoryCache = null, /* tmp cache, see addToStroy(), via indesign externa
   currFontSize = null,
   currGradientMode = null,
   currImageMode = null,
+  currInContour = null,
   currKerning = null,
   currLayer = null,
   currLeading = null,
@@ -21,8 +26,13 @@ var addToStoryCache = null, /* tmp cache, see addToStroy(), via indesign externa
   currPolygon = null,
   currRectMode = null,
   currShapeMode = null,
+  currStrokeAlign = null,
+  currStrokeCap = null,
   currStrokeColor = null,
+  currStrokeDash = null,
+  currStrokeJoin = null,
   currStrokeTint = null,
+  currStrokeType = null,
   currStrokeWeight = null,
   currTracking = null,
   currUnits = null,
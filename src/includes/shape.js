@@ -52,6 +52,7 @@ pub.ellipse = function(x, y, w, h) {
     strokeColor = currStrokeColor;
     geometricBounds = ellipseBounds;
   }
+  applyStrokeStyle(newOval);
 
   if (currEllipseMode === pub.CENTER || currEllipseMode === pub.RADIUS) {
     newOval.transform(CoordinateSpaces.PASTEBOARD_COORDINATES,
@@ -75,6 +76,8 @@ pub.ellipse = function(x, y, w, h) {
  * @param  {Number} y1 Point A y-value
  * @param  {Number} x2 Point B x-value
  * @param  {Number} y2 Point B y-value
+ * @param  {ArrowHead} [startArrow] Optional arrowhead at point A, one of the InDesign ArrowHead enum values, e.g. ArrowHead.TRIANGLE_ARROW_HEAD
+ * @param  {ArrowHead} [endArrow] Optional arrowhead at point B, one of the InDesign ArrowHead enum values
  * @return {GraphicLine} New GraphicLine
  */
 /*
@@ -84,8 +87,8 @@ pub.ellipse = function(x, y, w, h) {
  *    var vec2 = new b.Vector( x2, y2 );
  *    b.line( vec1, vec2 );
  */
-pub.line = function(x1, y1, x2, y2) {
-  if (arguments.length !== 4) error("b.line(), not enough parameters to draw a line! Use: x1, y1, x2, y2");
+pub.line = function(x1, y1, x2, y2, startArrow, endArrow) {
+  if (arguments.length < 4 || arguments.length > 6) error("b.line(), not enough parameters to draw a line! Use: x1, y1, x2, y2, [startArrow], [endArrow]");
   var lines = currentPage().graphicLines;
   var newLine = lines.add(currentLayer());
   with (newLine) {
@@ -95,13 +98,130 @@ pub.line = function(x1, y1, x2, y2) {
     fillTint = currFillTint;
     strokeColor = currStrokeColor;
   }
+  applyStrokeStyle(newLine);
   newLine.paths.item(0).entirePath = [[x1, y1], [x2, y2]];
+  if (typeof startArrow !== "undefined") {
+    newLine.leftLineEnd = startArrow;
+  }
+  if (typeof endArrow !== "undefined") {
+    newLine.rightLineEnd = endArrow;
+  }
   newLine.transform(CoordinateSpaces.PASTEBOARD_COORDINATES,
                    AnchorPoint.CENTER_ANCHOR,
                    currMatrix.adobeMatrix());
   return newLine;
 };
 
+/**
+ * Draws a point, a circle with the diameter of the current stroke weight filled with the current stroke color.
+ *
+ * @cat Document
+ * @subcat Primitives
+ * @method point
+ * @param  {Number} x Point x-value
+ * @param  {Number} y Point y-value
+ * @return {Oval} New oval
+ */
+pub.point = function(x, y) {
+  if (arguments.length !== 2) error("b.point(), not enough parameters to draw a point! Use: x, y");
+  // the stroke weight is always measured in points
+  var r = new UnitValue(currStrokeWeight, "pt").as(currUnits) / 2;
+  var newOval = currentPage().ovals.add(currentLayer());
+  with (newOval) {
+    strokeWeight = 0;
+    strokeColor = noneSwatchColor;
+    fillColor = currStrokeColor;
+    fillTint = currStrokeTint;
+    geometricBounds = [y - r, x - r, y + r, x + r];
+  }
+  newOval.transform(CoordinateSpaces.PASTEBOARD_COORDINATES,
+                    AnchorPoint.CENTER_ANCHOR,
+                    currMatrix.adobeMatrix());
+  return newOval;
+};
+
+/**
+ * Draws a triangle, a plane created by connecting three points.
+ *
+ * @cat Document
+ * @subcat Primitives
+ * @method triangle
+ * @param  {Number} x1 x-value of the first point
+ * @param  {Number} y1 y-value of the first point
+ * @param  {Number} x2 x-value of the second point
+ * @param  {Number} y2 y-value of the second point
+ * @param  {Number} x3 x-value of the third point
+ * @param  {Number} y3 y-value of the third point
+ * @return {Polygon} New polygon
+ */
+pub.triangle = function(x1, y1, x2, y2, x3, y3) {
+  if (arguments.length !== 6) error("b.triangle(), not enough parameters to draw a triangle! Use: x1, y1, x2, y2, x3, y3");
+  return drawPolygon([[x1, y1], [x2, y2], [x3, y3]]);
+};
+
+/**
+ * Draws a quad, a four sided polygon. Unlike a rectangle, the angles between its edges are not constrained to ninety degrees.
+ *
+ * @cat Document
+ * @subcat Primitives
+ * @method quad
+ * @param  {Number} x1 x-value of the first point
+ * @param  {Number} y1 y-value of the first point
+ * @param  {Number} x2 x-value of the second point
+ * @param  {Number} y2 y-value of the second point
+ * @param  {Number} x3 x-value of the third point
+ * @param  {Number} y3 y-value of the third point
+ * @param  {Number} x4 x-value of the fourth point
+ * @param  {Number} y4 y-value of the fourth point
+ * @return {Polygon} New polygon
+ */
+pub.quad = function(x1, y1, x2, y2, x3, y3, x4, y4) {
+  if (arguments.length !== 8) error("b.quad(), not enough parameters to draw a quad! Use: x1, y1, x2, y2, x3, y3, x4, y4");
+  return drawPolygon([[x1, y1], [x2, y2], [x3, y3], [x4, y4]]);
+};
+
+/**
+ * Draws a regular polygon with the given number of sides, the first corner pointing upwards.
+ * The position depends on the current ellipseMode(): b.CENTER and b.RADIUS use x and y as the center,
+ * b.CORNER and b.CORNERS as the top left corner of the bounding box of the circle the polygon is inscribed in.
+ * Unlike for ellipse() the size is always given as radius, so b.RADIUS works like b.CENTER and b.CORNERS,
+ * which has no second corner to use here, like b.CORNER.
+ *
+ * @cat Document
+ * @subcat Primitives
+ * @method polygon
+ * @param  {Number} x Location X
+ * @param  {Number} y Location Y
+ * @param  {Number} radius The distance from the center to the corners
+ * @param  {Number} sides The number of sides, at least 3
+ * @return {Polygon} New polygon
+ */
+pub.polygon = function(x, y, radius, sides) {
+  if (arguments.length !== 4) error("b.polygon(), not enough parameters to draw a polygon! Use: x, y, radius, sides");
+  if (sides < 3) error("b.polygon(), a polygon needs at least 3 sides");
+  return regularShape(x, y, [radius], Math.round(sides));
+};
+
+/**
+ * Draws a star with the given number of points, the first point pointing upwards.
+ * The position is interpreted like the one of ellipse() by the current ellipseMode(), see polygon().
+ *
+ * @cat Document
+ * @subcat Primitives
+ * @method star
+ * @param  {Number} x Location X
+ * @param  {Number} y Location Y
+ * @param  {Number} radius1 The distance from the center to the points
+ * @param  {Number} radius2 The distance from the center to the inner corners
+ * @param  {Number} points The number of points, at least 2
+ * @return {Polygon} New polygon
+ */
+pub.star = function(x, y, radius1, radius2, points) {
+  if (arguments.length !== 5) error("b.star(), not enough parameters to draw a star! Use: x, y, radius1, radius2, points");
+  if (points < 2) error("b.star(), a star needs at least 2 points");
+  return regularShape(x, y, [radius1, radius2], Math.round(points) * 2);
+};
+
 /**
  * Using the beginShape() and endShape() functions allow creating more complex forms.
  * beginShape() begins recording vertices for a shape and endShape() stops recording.
@@ -116,6 +236,8 @@ pub.line = function(x1, y1, x2, y2) {
  */
 pub.beginShape = function(shapeMode) {
   currVertexPoints = [];
+  currCurveVertexPoints = [];
+  currInContour = false;
   currPathPointer = 0;
   currPolygon = null;
   if(typeof shapeMode != null) {
@@ -146,6 +268,7 @@ pub.beginShape = function(shapeMode) {
  */
 pub.vertex = function() {
   if (isArray(currVertexPoints)) {
+    addCurveVertices();
     if (arguments.length === 2) {
       currVertexPoints.push([arguments[0], arguments[1]]);
     } else if (arguments.length === 6) {
@@ -161,6 +284,112 @@ pub.vertex = function() {
   }
 };
 
+/**
+ * Specifies vertex coordinates for bezier curves. The first two pairs of coordinates are the control points,
+ * the last pair is the anchor point. The first control point becomes the right handle of the previous vertex,
+ * so a call to vertex() or another bezier vertex has to precede bezierVertex().
+ * This function may only be used between beginShape() and endShape().
+ *
+ * @cat Document
+ * @subcat Primitives
+ * @method bezierVertex
+ * @param  {Number} cx1 x-value of the first control point
+ * @param  {Number} cy1 y-value of the first control point
+ * @param  {Number} cx2 x-value of the second control point
+ * @param  {Number} cy2 y-value of the second control point
+ * @param  {Number} x x-value of the anchor point
+ * @param  {Number} y y-value of the anchor point
+ */
+pub.bezierVertex = function(cx1, cy1, cx2, cy2, x, y) {
+  if (isArray(currVertexPoints)) {
+    if (arguments.length !== 6) {
+      error("b.bezierVertex(), wrong argument count: Please use bezierVertex(cx1, cy1, cx2, cy2, x, y)!");
+    }
+    addCurveVertices();
+    var prev = lastVertexAsBezier("bezierVertex");
+    prev[2] = [cx1, cy1];
+    currVertexPoints.push([[cx2, cy2], [x, y], [x, y]]);
+  } else {
+    notCalledBeginShapeError();
+  }
+};
+
+/**
+ * Specifies vertex coordinates for quadratic bezier curves. The first pair of coordinates is the control point,
+ * the second pair is the anchor point. The curve starts at the previous vertex, so a call to vertex() or
+ * another bezier vertex has to precede quadraticVertex().
+ * This function may only be used between beginShape() and endShape().
+ *
+ * @cat Document
+ * @subcat Primitives
+ * @method quadraticVertex
+ * @param  {Number} cx x-value of the control point
+ * @param  {Number} cy y-value of the control point
+ * @param  {Number} x x-value of the anchor point
+ * @param  {Number} y y-value of the anchor point
+ */
+pub.quadraticVertex = function(cx, cy, x, y) {
+  if (isArray(currVertexPoints)) {
+    if (arguments.length !== 4) {
+      error("b.quadraticVertex(), wrong argument count: Please use quadraticVertex(cx, cy, x, y)!");
+    }
+    addCurveVertices();
+    var start = lastVertexAsBezier("quadraticVertex")[1];
+    // a quadratic curve is a cubic one with the control points 2/3 of the way towards the quadratic control point
+    pub.bezierVertex(start[0] + 2 / 3 * (cx - start[0]), start[1] + 2 / 3 * (cy - start[1]),
+                     x + 2 / 3 * (cx - x), y + 2 / 3 * (cy - y),
+                     x, y);
+  } else {
+    notCalledBeginShapeError();
+  }
+};
+
+/**
+ * Specifies vertex coordinates for curves. This function may only be used between beginShape() and endShape().
+ * The curve runs smoothly through the given points as a Catmull-Rom spline, which is converted to the bezier
+ * vertices InDesign uses. The first and last points in a series of curveVertex() calls are guide points
+ * that only influence the beginning and end of the curve, so at least four points are needed to draw a curve
+ * between the second and third point. The shape of the curve can be adjusted with curveTightness().
+ * Calls to vertex() can be mixed with curveVertex(), each series of curve vertices is drawn as its own curve.
+ *
+ * @cat Document
+ * @subcat Primitives
+ * @method curveVertex
+ * @param  {Number} x position x-value
+ * @param  {Number} y position y-value
+ */
+pub.curveVertex = function(x, y) {
+  if (isArray(currVertexPoints)) {
+    if (arguments.length !== 2) {
+      error("b.curveVertex(), wrong argument count: Please use curveVertex(x, y)!");
+    }
+    currCurveVertexPoints.push([x, y]);
+  } else {
+    notCalledBeginShapeError();
+  }
+};
+
+/**
+ * Modifies the quality of the curves created with curveVertex(). The default value 0 draws Catmull-Rom splines,
+ * 1 connects all points with straight lines. Values between -5 and 5 deform the curves but keep them
+ * recognizable, with increasing values the curves get tighter.
+ *
+ * @cat Document
+ * @subcat Primitives
+ * @method curveTightness
+ * @param  {Number} [tightness] The amount of deformation from the original vertices
+ * @return {Number} The current curve tightness
+ */
+pub.curveTightness = function(tightness) {
+  if (arguments.length === 1) {
+    if (!isNumber(tightness)) {
+      error("b.curveTightness(), the tightness has to be a number");
+    }
+    currCurveTightness = tightness;
+  }
+  return currCurveTightness;
+};
+
 /**
  * The arc() function draws an arc in the display window.
  * Arcs are drawn along the outer edge of an ellipse defined by the
@@ -311,6 +540,61 @@ pub.addPath = function() {
   currPathPointer++;
 };
 
+/**
+ * Use beginContour() and endContour() to cut holes into a shape, e.g. to draw the counter of a letter.
+ * The vertices between beginContour() and endContour() are added as a separate path that is drawn in the
+ * opposite direction of the first path of the shape, so the fill leaves the contour empty.
+ * The outer shape has to be drawn before the contours. Contours can't be nested.
+ *
+ * @cat Document
+ * @subcat Primitives
+ * @method beginContour
+ */
+pub.beginContour = function() {
+  if (!isArray(currVertexPoints)) {
+    notCalledBeginShapeError();
+  }
+  if (currInContour) {
+    error("b.beginContour(), you have to call endContour() before starting a new contour");
+  }
+  addCurveVertices();
+  if (currVertexPoints.length > 0) {
+    pub.addPath();
+  }
+  if (currPolygon === null) {
+    error("b.beginContour(), draw the outer shape with vertex() before adding a contour");
+  }
+  currInContour = true;
+};
+
+/**
+ * The companion to beginContour(), adds the vertices since beginContour() as a hole to the shape.
+ *
+ * @cat Document
+ * @subcat Primitives
+ * @method endContour
+ */
+pub.endContour = function() {
+  if (!currInContour) {
+    error("b.endContour(), you have to call beginContour() first");
+  }
+  addCurveVertices();
+  var outer = currPolygon.paths.item(0).entirePath;
+  if (currVertexPoints.length > 0 && signedArea(outer) * signedArea(currVertexPoints) > 0) {
+    // reversing a bezier path swaps the left and right handles
+    currVertexPoints.reverse();
+    for (var i = 0; i < currVertexPoints.length; i++) {
+      if (isArray(currVertexPoints[i][0])) {
+        currVertexPoints[i] = [currVertexPoints[i][2], currVertexPoints[i][1], currVertexPoints[i][0]];
+      }
+    }
+  }
+  if (currVertexPoints.length > 0) {
+    pub.addPath();
+  }
+  currInContour = false;
+};
+
 /**
  * The endShape() function is the companion to beginShape() and may only be called
  * after beginShape().
@@ -321,6 +605,9 @@ pub.addPath = function() {
  * @return {GraphicLine|Polygon} newShape
  */
 pub.endShape = function() {
+  if (currInContour) {
+    error("b.endShape(), you have to call endContour() before endShape()");
+  }
   doAddPath();
   currPolygon.transform(CoordinateSpaces.PASTEBOARD_COORDINATES,
                    AnchorPoint.TOP_LEFT_ANCHOR,
@@ -328,178 +615,1617 @@ pub.endShape = function() {
   return currPolygon;
 };
 
-function doAddPath() {
-  if (isArray(currVertexPoints)) {
-    if (currVertexPoints.length > 0) {
-
-      if(currPolygon === null) {
-        addPolygon();
-      } else {
-        currPolygon.paths.add();
-      }
-
-      currPolygon.paths.item(currPathPointer).entirePath = currVertexPoints;
-      currVertexPoints = [];
-    }
-  } else {
-    notCalledBeginShapeError();
-  }
-}
-
-function addPolygon() {
-  if (currShapeMode === pub.CLOSE) {
-    currPolygon = currentPage().polygons.add(currentLayer());
-  } else {
-    currPolygon = currentPage().graphicLines.add(currentLayer());
-  }
-  with (currPolygon) {
-    strokeWeight = currStrokeWeight;
-    strokeTint = currStrokeTint;
-    fillColor = currFillColor;
-    fillTint = currFillTint;
-    strokeColor = currStrokeColor;
+/**
+ * Draws the outline described by SVG path data, e.g. the d attribute of a path element in an SVG file.
+ * All commands are supported in their absolute and relative form: M, L, H, V, C, S, Q, T, A and Z.
+ * Every subpath becomes a path of the new shape, subpaths closed with Z are closed paths.
+ * The coordinates are interpreted in the current units and transformed by the current matrix.
+ *
+ * @cat Document
+ * @subcat Primitives
+ * @method svgPath
+ * @param  {String} pathData The SVG path data, e.g. "M10 10 C 20 20, 40 20, 50 10 Z"
+ * @return {Polygon|GraphicLine} newShape, a polygon if at least one subpath is closed
+ */
+pub.svgPath = function(pathData) {
+  if (!isString(pathData)) {
+    error("b.svgPath(), wrong parameters. Use: pathData string, e.g. \"M10 10 L 20 20\"");
   }
-}
-
-
-function notCalledBeginShapeError () {
-  error("b.endShape(), you have to call first beginShape(), before calling vertex() and endShape()");
-}
+  return drawSubpaths(svgPathSubpaths(pathData));
+};
 
 /**
- * Draws a rectangle on the page.
+ * Loads an SVG file and draws it as native InDesign items, grouped if there is more than one.
+ * The supported elements are path, rect, circle, ellipse, line, polyline, polygon and g, with their transform
+ * attribute and the fill, stroke, stroke-width and opacity attributes or style properties. Other elements like
+ * text, images, gradients or clipping paths are ignored.
+ * The drawing gets the size of the width and height attributes of the svg element: values without unit or in px
+ * are taken in the current units, absolute units like mm or in are converted, for percentages or missing values
+ * the size of the viewBox is used. Optionally the drawing is scaled to fit the given box.
+ * If the file is specified by name as String, it must be located in the document's data directory.
  *
  * @cat Document
  * @subcat Primitives
- * @method rect
- * @param  {Number} x Position X
- * @param  {Number} y Position Y
- * @param  {Number} w Width
- * @param  {Number} h Height
- * @return {Rectangle} New rectangle
+ * @method loadShape
+ * @param  {String|File} file The SVG file name in the document's data directory or a File instance
+ * @param  {Number} [x] The x position of the drawing, defaults to 0
+ * @param  {Number} [y] The y position of the drawing, defaults to 0
+ * @param  {Number} [w] The width to scale the drawing to, defaults to the width of the SVG
+ * @param  {Number} [h] The height to scale the drawing to, defaults to the height of the SVG
+ * @return {Group|PageItem} The group of the drawn items or the single item if the SVG contains only one
  */
-pub.rect = function(x, y, w, h) {
-  if (w === 0 || h === 0) {
-    // indesign doesn't draw a rectangle if width or height are set to 0
-    return false;
+pub.loadShape = function(file, x, y, w, h) {
+  var inputFile = initDataFile(file, true);
+  inputFile.encoding = "UTF-8";
+  inputFile.open("r");
+  var data = inputFile.read();
+  inputFile.close();
+
+  var svg = findSvgElement(parseXml(data));
+  if (svg === null) {
+    error("b.loadShape(), the file \"" + inputFile + "\" contains no svg element");
   }
-  if (arguments.length !== 4) error("b.rect(), not enough parameters to draw a rect! Use: x, y, w, h");
 
-  var rectBounds = [];
-  if (currRectMode === pub.CORNER) {
-    rectBounds[0] = y;
-    rectBounds[1] = x;
-    rectBounds[2] = (y + h);
-    rectBounds[3] = (x + w);
-  } else if (currRectMode === pub.CORNERS) {
-    rectBounds[0] = y;
-    rectBounds[1] = x;
-    rectBounds[2] = h;
-    rectBounds[3] = w;
-  } else if (currRectMode === pub.CENTER) {
-    rectBounds[0] = y - (h / 2);
-    rectBounds[1] = x - (w / 2);
-    rectBounds[2] = (y + h) - (h / 2);
-    rectBounds[3] = (x + w) - (w / 2);
+  var viewBox = parseSvgNumbers(svg.attrs.viewBox || "");
+  var width = svgLength(svg.attrs.width);
+  var height = svgLength(svg.attrs.height);
+  if (viewBox.length !== 4) {
+    viewBox = [0, 0, width, height];
+  }
+  width = isNaN(width) ? viewBox[2] : width;
+  height = isNaN(height) ? viewBox[3] : height;
+  if (!(viewBox[2] > 0 && viewBox[3] > 0)) {
+    error("b.loadShape(), the svg element needs a viewBox or width and height");
   }
 
-  var newRect = currentPage().rectangles.add(currentLayer());
-  with (newRect) {
-    geometricBounds = rectBounds;
-    strokeWeight = currStrokeWeight;
-    strokeTint = currStrokeTint;
-    fillColor = currFillColor;
-    fillTint = currFillTint;
-    strokeColor = currStrokeColor;
+  x = isNumber(x) ? x : 0;
+  y = isNumber(y) ? y : 0;
+  var sx = (isNumber(w) ? w : width) / viewBox[2];
+  var sy = (isNumber(h) ? h : height) / viewBox[3];
+  var matrix = [sx, 0, 0, sy, x - viewBox[0] * sx, y - viewBox[1] * sy];
+
+  var fillColor = currFillColor;
+  var strokeColor = currStrokeColor;
+  var strokeWeight = currStrokeWeight;
+  var items = [];
+  try {
+    drawSvgElement(svg, matrix, {fill: "black", stroke: "none", "stroke-width": "1", opacity: 1}, items);
+  } finally {
+    currFillColor = fillColor;
+    currStrokeColor = strokeColor;
+    currStrokeWeight = strokeWeight;
   }
 
-  if (currRectMode === pub.CENTER) {
-    newRect.transform(CoordinateSpaces.PASTEBOARD_COORDINATES,
-                       AnchorPoint.CENTER_ANCHOR,
-                       currMatrix.adobeMatrix());
-  } else {
-    newRect.transform(CoordinateSpaces.PASTEBOARD_COORDINATES,
-                   AnchorPoint.TOP_LEFT_ANCHOR,
-                   currMatrix.adobeMatrix());
+  if (items.length === 0) {
+    warning("b.loadShape(), the file \"" + inputFile + "\" contains no supported elements");
+    return null;
+  } else if (items.length === 1) {
+    return items[0];
   }
-  return newRect;
+  return pub.group(items);
 };
 
-
-// -- Attributes --
-
 /**
- * Modifies the location from which rectangles draw. The default mode is
- * rectMode(CORNER), which specifies the location to be the upper left
- * corner of the shape and uses the third and fourth parameters of rect()
- * to specify the width and height. The syntax rectMode(CORNERS) uses the
- * first and second parameters of rect() to set the location of one corner
- * and uses the third and fourth parameters to set the opposite corner.
- * The syntax rectMode(CENTER) draws the image from its center point and
- * uses the third and forth parameters of rect() to specify the image's
- * width and height. The syntax rectMode(RADIUS) draws the image from its
- * center point and uses the third and forth parameters of rect() to specify
- * half of the image's width and height. The parameter must be written in
- * "ALL CAPS".
+ * Combines the outlines of shapes into one shape, like the Pathfinder "Add" in InDesign.
+ * The result gets the current fill and stroke.
  *
  * @cat Document
- * @subcat Attributes
- * @method rectMode
- * @param {String} mode Either b.CORNER, b.CORNERS, b.CENTER, or b.RADIUS
- *
+ * @subcat Pathfinder
+ * @method union
+ * @param  {PageItem|PageItem[]} a The first shape or an array of shapes
+ * @param  {PageItem|PageItem[]} [b] The shape or shapes to add
+ * @return {PageItem} The resulting shape
  */
-pub.rectMode = function (mode) {
-  if (arguments.length === 0) return currRectMode;
-  if (mode === pub.CORNER || mode === pub.CORNERS || mode === pub.CENTER) {
-    currRectMode = mode;
-    return currRectMode;
-  } else {
-    error("b.rectMode(), unsupported rectMode. Use: CORNER, CORNERS, CENTER.");
-  }
+pub.union = function(a, b) {
+  return pathfinder("union", "addPath", a, b);
 };
 
 /**
- * The origin of the ellipse is modified by the ellipseMode() function.
- * The default configuration is ellipseMode(CENTER), which specifies the
- * location of the ellipse as the center of the shape. The RADIUS mode is
- * the same, but the width and height parameters to ellipse() specify the
- * radius of the ellipse, rather than the diameter. The CORNER mode draws
- * the shape from the upper-left corner of its bounding box. The CORNERS
- * mode uses the four parameters to ellipse() to set two opposing corners
- * of the ellipse's bounding box. The parameter must be written in "ALL CAPS".
+ * Cuts the second shape out of the first one, like the Pathfinder "Subtract" in InDesign.
+ * The result gets the current fill and stroke.
  *
  * @cat Document
- * @subcat Attributes
- * @method ellipseMode
- * @param {String} mode Either b.CENTER, b.RADIUS, b.CORNER, or b.CORNERS
+ * @subcat Pathfinder
+ * @method subtract
+ * @param  {PageItem|PageItem[]} a The shape to cut from or an array of shapes, the first one being cut by the others
+ * @param  {PageItem|PageItem[]} [b] The shape or shapes to cut out
+ * @return {PageItem} The resulting shape
  */
-pub.ellipseMode = function (mode) {
-  if (arguments.length === 0) return currEllipseMode;
-  if (mode === pub.CORNER || mode === pub.CORNERS || mode === pub.CENTER || mode === pub.RADIUS) {
-    currEllipseMode = mode;
-    return currEllipseMode;
-  } else {
-    error("b.ellipseMode(), Unsupported ellipseMode. Use: CENTER, RADIUS, CORNER, CORNERS.");
-  }
+pub.subtract = function(a, b) {
+  return pathfinder("subtract", "subtractPath", a, b);
 };
 
 /**
- * Sets the width of the stroke used for lines and the border
- * around shapes.
+ * Keeps only the area where the shapes overlap, like the Pathfinder "Intersect" in InDesign.
+ * The result gets the current fill and stroke.
  *
  * @cat Document
- * @subcat Attributes
- * @method strokeWeight
- * @param {Number} weight The width of the stroke
+ * @subcat Pathfinder
+ * @method intersect
+ * @param  {PageItem|PageItem[]} a The first shape or an array of shapes
+ * @param  {PageItem|PageItem[]} [b] The shape or shapes to intersect with
+ * @return {PageItem} The resulting shape
  */
-pub.strokeWeight = function (weight) {
-  if (typeof weight === "string" || typeof weight === "number") {
+pub.intersect = function(a, b) {
+  return pathfinder("intersect", "intersectPath", a, b);
+};
+
+/**
+ * Keeps the areas of the shapes that don't overlap, like the Pathfinder "Exclude Overlap" in InDesign.
+ * The result gets the current fill and stroke.
+ *
+ * @cat Document
+ * @subcat Pathfinder
+ * @method exclude
+ * @param  {PageItem|PageItem[]} a The first shape or an array of shapes
+ * @param  {PageItem|PageItem[]} [b] The shape or shapes to exclude
+ * @return {PageItem} The resulting shape
+ */
+pub.exclude = function(a, b) {
+  return pathfinder("exclude", "excludeOverlapPath", a, b);
+};
+
+/**
+ * Cuts the shapes behind the front shape out of it, like the Pathfinder "Minus Back" in InDesign.
+ * The first shape is brought to the front of the others, the result gets the current fill and stroke.
+ *
+ * @cat Document
+ * @subcat Pathfinder
+ * @method minusBack
+ * @param  {PageItem|PageItem[]} a The front shape or an array of shapes, the first one being the front shape
+ * @param  {PageItem|PageItem[]} [b] The shape or shapes to cut out of the front shape
+ * @return {PageItem} The resulting shape
+ */
+pub.minusBack = function(a, b) {
+  return pathfinder("minusBack", "minusBack", a, b);
+};
+
+/**
+ * Calculates the length of the outline of a shape, following its bezier curves, in the current units.
+ * The lengths of all paths of the shape are added up.
+ *
+ * @cat Document
+ * @subcat Path
+ * @method pathLength
+ * @param  {PageItem} item The shape, e.g. a polygon, oval or graphic line
+ * @return {Number} The length of the outline
+ */
+pub.pathLength = function(item) {
+  var segments = pathSegments("pathLength", item);
+  var length = 0;
+  for (var i = 0; i < segments.length; i++) {
+    length += segments[i].length;
+  }
+  return length;
+};
+
+/**
+ * Returns the point at the given distance from the start of the outline of a shape, e.g. to place objects
+ * evenly along a curve. The distance is clamped to the length of the outline, see pathLength().
+ * If the shape has several paths, they are followed one after the other.
+ * The point is given in the coordinates of the current matrix, so it can be passed to the shape functions
+ * while a transformation like translate() or rotate() is in effect.
+ *
+ * @cat Document
+ * @subcat Path
+ * @method pointAtLength
+ * @param  {PageItem} item The shape, e.g. a polygon, oval or graphic line
+ * @param  {Number} length The distance from the start of the outline in the current units
+ * @return {Vector} The point on the outline
+ */
+pub.pointAtLength = function(item, length) {
+  var location = segmentAtLength("pointAtLength", item, length);
+  var p = inverseMatrixPoint(bezierPoint(location.segment.points, location.t));
+  return new Vector(p[0], p[1]);
+};
+
+/**
+ * Returns the direction of the outline of a shape at the given distance from its start as a normalized vector.
+ * Use its heading() to get the angle, e.g. to rotate objects placed with pointAtLength() along a curve.
+ * Like the point of pointAtLength() the direction is given in the coordinates of the current matrix.
+ *
+ * @cat Document
+ * @subcat Path
+ * @method tangentAt
+ * @param  {PageItem} item The shape, e.g. a polygon, oval or graphic line
+ * @param  {Number} length The distance from the start of the outline in the current units
+ * @return {Vector} The normalized tangent vector
+ */
+pub.tangentAt = function(item, length) {
+  var location = segmentAtLength("tangentAt", item, length);
+  var points = location.segment.points;
+  var t = location.t;
+  var u = 1 - t;
+  var dx = 3 * u * u * (points[1][0] - points[0][0]) + 6 * u * t * (points[2][0] - points[1][0]) + 3 * t * t * (points[3][0] - points[2][0]);
+  var dy = 3 * u * u * (points[1][1] - points[0][1]) + 6 * u * t * (points[2][1] - points[1][1]) + 3 * t * t * (points[3][1] - points[2][1]);
+  if (Math.abs(dx) < pub.EPSILON && Math.abs(dy) < pub.EPSILON) {
+    // the handles sit on the anchor, e.g. on straight lines, use the direction towards the other end
+    var p1 = bezierPoint(points, Math.max(0, t - 0.001));
+    var p2 = bezierPoint(points, Math.min(1, t + 0.001));
+    dx = p2[0] - p1[0];
+    dy = p2[1] - p1[1];
+  }
+  var origin = inverseMatrixPoint([0, 0]);
+  var direction = inverseMatrixPoint([dx, dy]);
+  var tangent = new Vector(direction[0] - origin[0], direction[1] - origin[1]);
+  tangent.normalize();
+  return tangent;
+};
+
+/**
+ * Creates a copy of a shape with its outline moved outwards by the given distance or inwards for negative
+ * distances, e.g. to draw contour lines around a shape. The copy keeps the appearance of the shape.
+ * Curves are approximated by short straight lines. Open paths are moved to their left side for positive
+ * distances. For large inset distances in concave corners the outline may intersect itself.
+ *
+ * @cat Document
+ * @subcat Path
+ * @method offsetPath
+ * @param  {PageItem} item The shape, e.g. a polygon, oval or rectangle
+ * @param  {Number} distance The distance in the current units, negative values create an inset
+ * @param  {String} [join] The shape of the outer corners, b.MITER (default), b.ROUND or b.BEVEL
+ * @return {PageItem} The new shape
+ */
+pub.offsetPath = function(item, distance, join) {
+  if (!isNumber(distance)) {
+    error("b.offsetPath(), wrong parameters. Use: item, distance, [join]");
+  }
+  join = join || pub.MITER;
+  if (join !== pub.MITER && join !== pub.ROUND && join !== pub.BEVEL) {
+    error("b.offsetPath(), unsupported join. Use: MITER, ROUND or BEVEL.");
+  }
+  var paths = flattenPaths("offsetPath", item);
+  var copy = item.duplicate();
+  for (var i = 0; i < paths.length; i++) {
+    copy.paths.item(i).entirePath = offsetPolyline(paths[i].points, paths[i].closed, distance, join);
+  }
+  return copy;
+};
+
+/**
+ * Converts the stroke of a shape to a filled polygon with the stroke color, taking the stroke weight, alignment,
+ * corners and line ends into account. Closed paths result in rings. Curves are approximated by short straight lines.
+ *
+ * @cat Document
+ * @subcat Path
+ * @method outlineStroke
+ * @param  {PageItem} item The stroked shape, e.g. a graphic line or polygon
+ * @param  {Boolean} [deleteOriginal] Whether to remove the shape after the conversion, defaults to true
+ * @return {Polygon} The new polygon
+ */
+pub.outlineStroke = function(item, deleteOriginal) {
+  var paths = flattenPaths("outlineStroke", item);
+  // the stroke weight is always measured in points
+  var weight = new UnitValue(item.strokeWeight, "pt").as(currUnits);
+  if (!(weight > 0) || item.strokeColor.name === "None") {
+    error("b.outlineStroke(), the item has no stroke");
+  }
+  var inner = -weight / 2, outer = weight / 2;
+  if (item.strokeAlignment === StrokeAlignment.INSIDE_ALIGNMENT) {
+    outer = 0;
+    inner = -weight;
+  } else if (item.strokeAlignment === StrokeAlignment.OUTSIDE_ALIGNMENT) {
+    outer = weight;
+    inner = 0;
+  }
+  var join = pub.MITER;
+  if (item.endJoin === EndJoin.ROUND_END_JOIN) {
+    join = pub.ROUND;
+  } else if (item.endJoin === EndJoin.BEVEL_END_JOIN) {
+    join = pub.BEVEL;
+  }
+
+  var outlines = [];
+  for (var i = 0; i < paths.length; i++) {
+    var points = paths[i].points;
+    if (paths[i].closed) {
+      outlines.push(offsetPolyline(points, true, outer, join));
+      outlines.push(offsetPolyline(points, true, inner, join).reverse());
+    } else {
+      outlines.push(strokeOutline(points, weight / 2, join, item.endCap));
+    }
+  }
+
+  var page = item.parentPage || currentPage();
+  var polygon = page.polygons.add(item.itemLayer);
+  for (i = 0; i < outlines.length; i++) {
+    if (i > 0) {
+      polygon.paths.add();
+    }
+    polygon.paths.item(i).entirePath = outlines[i];
+  }
+  polygon.properties = {
+    fillColor: item.strokeColor,
+    fillTint: item.strokeTint,
+    strokeColor: noneSwatchColor,
+    strokeWeight: 0
+  };
+  if (deleteOriginal !== false) {
+    item.remove();
+  }
+  return polygon;
+};
+
+// converts the collected curve vertices to bezier vertices, the handles of a point are parallel
+// to the line between its neighbours, scaled by the tightness (1/6 of that line for Catmull-Rom)
+function addCurveVertices() {
+  var points = currCurveVertexPoints;
+  if (points.length === 0) {
+    return;
+  }
+  currCurveVertexPoints = [];
+  if (points.length < 4) {
+    warning("b.curveVertex(), at least four curve vertices are needed to draw a curve");
+    return;
+  }
+
+  var s = (1 - currCurveTightness) / 6;
+  for (var i = 1; i < points.length - 1; i++) {
+    var p = points[i];
+    var dx = s * (points[i + 1][0] - points[i - 1][0]);
+    var dy = s * (points[i + 1][1] - points[i - 1][1]);
+    var left = i === 1 ? p : [p[0] - dx, p[1] - dy];
+    var right = i === points.length - 2 ? p : [p[0] + dx, p[1] + dy];
+    currVertexPoints.push([left, p, right]);
+  }
+}
+
+// returns the previous vertex as [left handle, anchor, right handle], converting a plain point
+function lastVertexAsBezier(caller) {
+  if (currVertexPoints.length === 0) {
+    error("b." + caller + "(), the curve needs a start point. Please call vertex(x, y) first!");
+  }
+  var last = currVertexPoints[currVertexPoints.length - 1];
+  if (!isArray(last[0])) {
+    last = [[last[0], last[1]], [last[0], last[1]], [last[0], last[1]]];
+    currVertexPoints[currVertexPoints.length - 1] = last;
+  }
+  return last;
+}
+
+// the signed area of a path by its anchor points, the sign tells the direction of the path
+function signedArea(points) {
+  var area = 0;
+  for (var i = 0; i < points.length; i++) {
+    var p1 = isArray(points[i][0]) ? points[i][1] : points[i];
+    var next = points[(i + 1) % points.length];
+    var p2 = isArray(next[0]) ? next[1] : next;
+    area += p1[0] * p2[1] - p2[0] * p1[1];
+  }
+  return area / 2;
+}
+
+// the number of arguments per SVG path command, repeated arguments repeat the command
+var svgPathArgCounts = {M: 2, L: 2, H: 1, V: 1, C: 6, S: 4, Q: 4, T: 2, A: 7, Z: 0};
+
+// splits SVG path data into commands of the form {type: "C", args: [numbers]}
+function parseSvgPath(pathData) {
+  var commands = [];
+  var pos = 0;
+  var numberPattern = /^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/;
+
+  var skipSeparators = function() {
+    while (pos < pathData.length && /[\s,]/.test(pathData.charAt(pos))) {
+      pos++;
+    }
+  };
+  var readNumber = function(isFlag) {
+    skipSeparators();
+    if (isFlag && /[01]/.test(pathData.charAt(pos))) {
+      // flags of arcs may be written without separators, e.g. "a1 1 0 00 1 1"
+      pos++;
+      return Number(pathData.charAt(pos - 1));
+    }
+    var match = numberPattern.exec(pathData.substr(pos));
+    if (match === null) {
+      error("b.svgPath(), invalid path data at position " + pos + ": \"" + pathData.substr(pos, 10) + "\"");
+    }
+    pos += match[0].length;
+    return parseFloat(match[0]);
+  };
+
+  skipSeparators();
+  while (pos < pathData.length) {
+    var type = pathData.charAt(pos);
+    var count = svgPathArgCounts[type.toUpperCase()];
+    if (typeof count !== "number") {
+      error("b.svgPath(), unknown path command \"" + type + "\" at position " + pos);
+    }
+    pos++;
+    var first = true;
+    do {
+      var args = [];
+      for (var i = 0; i < count; i++) {
+        args.push(readNumber(type.toUpperCase() === "A" && (i === 3 || i === 4)));
+      }
+      commands.push({type: type, args: args});
+      // further coordinate pairs after a moveto are implicit linetos
+      if (first && type.toUpperCase() === "M") {
+        type = type === "M" ? "L" : "l";
+      }
+      first = false;
+      skipSeparators();
+    } while (count > 0 && pos < pathData.length && numberPattern.test(pathData.substr(pos)));
+  }
+  return commands;
+}
+
+// converts SVG path data to an array of subpaths {points, closed}, the points are
+// absolute bezier vertices of the form [left handle, anchor, right handle]
+function svgPathSubpaths(pathData) {
+  var commands = parseSvgPath(pathData);
+  if (commands.length === 0 || commands[0].type.toUpperCase() !== "M") {
+    error("b.svgPath(), the path data has to start with a moveto command (M or m)");
+  }
+
+  var subpaths = [];
+  var points = null;
+  var x = 0, y = 0; // current point
+  var startX = 0, startY = 0; // start of the current subpath
+  var ctrlX = 0, ctrlY = 0; // last control point, reflected by S and T
+  var prevType = "";
+
+  var lineTo = function(px, py) {
+    points.push([[px, py], [px, py], [px, py]]);
+  };
+  var curveTo = function(c1x, c1y, c2x, c2y, px, py) {
+    points[points.length - 1][2] = [c1x, c1y];
+    points.push([[c2x, c2y], [px, py], [px, py]]);
+  };
+
+  for (var i = 0; i < commands.length; i++) {
+    var type = commands[i].type;
+    var upper = type.toUpperCase();
+    var relative = type !== upper;
+    var args = commands[i].args;
+    var ox = relative ? x : 0;
+    var oy = relative ? y : 0;
+
+    if (upper === "M") {
+      x = args[0] + ox;
+      y = args[1] + oy;
+      startX = x;
+      startY = y;
+      points = [];
+      subpaths.push({points: points, closed: false});
+      lineTo(x, y);
+    } else if (upper === "Z") {
+      closeSubpath(points);
+      subpaths[subpaths.length - 1].closed = true;
+      x = startX;
+      y = startY;
+      // drawing on after a closepath starts a new subpath at the same point
+      if (i < commands.length - 1 && commands[i + 1].type.toUpperCase() !== "M") {
+        points = [];
+        subpaths.push({points: points, closed: false});
+        lineTo(x, y);
+      }
+    } else if (upper === "L") {
+      x = args[0] + ox;
+      y = args[1] + oy;
+      lineTo(x, y);
+    } else if (upper === "H") {
+      x = args[0] + ox;
+      lineTo(x, y);
+    } else if (upper === "V") {
+      y = args[0] + oy;
+      lineTo(x, y);
+    } else if (upper === "C" || upper === "S") {
+      var c1x, c1y;
+      if (upper === "C") {
+        c1x = args[0] + ox;
+        c1y = args[1] + oy;
+        args = args.slice(2);
+      } else if (prevType === "C" || prevType === "S") {
+        c1x = 2 * x - ctrlX;
+        c1y = 2 * y - ctrlY;
+      } else {
+        c1x = x;
+        c1y = y;
+      }
+      ctrlX = args[0] + ox;
+      ctrlY = args[1] + oy;
+      curveTo(c1x, c1y, ctrlX, ctrlY, args[2] + ox, args[3] + oy);
+      x = args[2] + ox;
+      y = args[3] + oy;
+    } else if (upper === "Q" || upper === "T") {
+      if (upper === "Q") {
+        ctrlX = args[0] + ox;
+        ctrlY = args[1] + oy;
+        args = args.slice(2);
+      } else if (prevType === "Q" || prevType === "T") {
+        ctrlX = 2 * x - ctrlX;
+        ctrlY = 2 * y - ctrlY;
+      } else {
+        ctrlX = x;
+        ctrlY = y;
+      }
+      var endX = args[0] + ox;
+      var endY = args[1] + oy;
+      // a quadratic curve is a cubic one with the control points 2/3 of the way towards the quadratic control point
+      curveTo(x + 2 / 3 * (ctrlX - x), y + 2 / 3 * (ctrlY - y),
+              endX + 2 / 3 * (ctrlX - endX), endY + 2 / 3 * (ctrlY - endY),
+              endX, endY);
+      x = endX;
+      y = endY;
+    } else if (upper === "A") {
+      var curves = svgArcToBeziers(x, y, args[0], args[1], args[2], args[3], args[4], args[5] + ox, args[6] + oy);
+      for (var j = 0; j < curves.length; j++) {
+        curveTo.apply(null, curves[j]);
+      }
+      x = args[5] + ox;
+      y = args[6] + oy;
+    }
+    prevType = upper;
+  }
+  return subpaths;
+}
+
+// a closing point on top of the start point is merged into it, keeping its left handle
+function closeSubpath(points) {
+  if (points.length < 2) {
+    return;
+  }
+  var first = points[0];
+  var last = points[points.length - 1];
+  if (Math.abs(first[1][0] - last[1][0]) < pub.EPSILON && Math.abs(first[1][1] - last[1][1]) < pub.EPSILON) {
+    points.pop();
+    first[0] = last[0];
+  }
+}
+
+// draws subpaths as returned by svgPathSubpaths() as a single shape, the optional
+// matrix [a, b, c, d, e, f] maps the points like an SVG transform
+function drawSubpaths(subpaths, matrix) {
+  var hasClosedPath = false;
+  for (var i = 0; i < subpaths.length; i++) {
+    hasClosedPath = hasClosedPath || subpaths[i].closed;
+  }
+  var map = function(p) {
+    if (!matrix) {
+      return p;
+    }
+    return [matrix[0] * p[0] + matrix[2] * p[1] + matrix[4], matrix[1] * p[0] + matrix[3] * p[1] + matrix[5]];
+  };
+
+  // the paths are added with the private shape state, so a shape recorded with beginShape() is kept
+  var recorded = [currVertexPoints, currCurveVertexPoints, currInContour, currPathPointer, currPolygon, currShapeMode];
+  var shape;
+  currCurveVertexPoints = [];
+  currInContour = false;
+  currPolygon = null;
+  currShapeMode = hasClosedPath ? pub.CLOSE : null;
+  try {
+    for (i = 0; i < subpaths.length; i++) {
+      var points = subpaths[i].points;
+      currVertexPoints = [];
+      currPathPointer = i;
+      for (var j = 0; j < points.length; j++) {
+        var left = map(points[j][0]);
+        var anchor = map(points[j][1]);
+        var right = map(points[j][2]);
+        if (left.toString() === anchor.toString() && right.toString() === anchor.toString()) {
+          currVertexPoints.push(anchor);
+        } else {
+          currVertexPoints.push([left, anchor, right]);
+        }
+      }
+      doAddPath();
+    }
+    shape = currPolygon;
+  } finally {
+    currVertexPoints = recorded[0];
+    currCurveVertexPoints = recorded[1];
+    currInContour = recorded[2];
+    currPathPointer = recorded[3];
+    currPolygon = recorded[4];
+    currShapeMode = recorded[5];
+  }
+  shape.transform(CoordinateSpaces.PASTEBOARD_COORDINATES,
+                  AnchorPoint.TOP_LEFT_ANCHOR,
+                  currMatrix.adobeMatrix());
+
+  if (hasClosedPath) {
+    for (i = 0; i < subpaths.length; i++) {
+      if (!subpaths[i].closed) {
+        shape.paths.item(i).pathType = PathType.OPEN_PATH;
+      }
+    }
+  }
+  return shape;
+}
+
+// runs an InDesign pathfinder method on the first item with the other items
+function pathfinder(name, method, a, b) {
+  var items = isArray(a) ? a.slice() : [a];
+  if (typeof b !== "undefined") {
+    items = items.concat(isArray(b) ? b : [b]);
+  }
+  if (items.length < 2) {
+    error("b." + name + "(), wrong parameters. Use: shape, shape or shape, arrayOfShapes or arrayOfShapes");
+  }
+  for (var i = 0; i < items.length; i++) {
+    checkNull(items[i]);
+    if (!items[i].hasOwnProperty("paths")) {
+      error("b." + name + "(), " + items[i] + " is not a shape that can be combined");
+    }
+  }
+
+  var first = items[0];
+  var others = items.slice(1);
+  // InDesign cuts the front shapes out of the back shape and minus back cuts the back shapes out of the front shape
+  for (i = 0; i < others.length; i++) {
+    if (method === "minusBack") {
+      first.bringToFront(others[i]);
+    } else {
+      others[i].bringToFront(first);
+    }
+  }
+
+  var result = first[method](others);
+  with (result) {
+    strokeWeight = currStrokeWeight;
+    strokeTint = currStrokeTint;
+    fillColor = currFillColor;
+    fillTint = currFillTint;
+    strokeColor = currStrokeColor;
+  }
+  applyStrokeStyle(result);
+  return result;
+}
+
+// the points of a path as [left handle, anchor, right handle]
+function anchorTriples(points) {
+  for (var i = 0; i < points.length; i++) {
+    if (!isArray(points[i][0])) {
+      points[i] = [points[i], points[i], points[i]];
+    }
+  }
+  return points;
+}
+
+// the bezier segments of all paths of an item as {points: [p0, c1, c2, p3], length, lengths}, where lengths
+// are the accumulated lengths at evenly spaced t values to look up positions by length
+function pathSegments(name, item) {
+  checkNull(item);
+  if (!item.hasOwnProperty("paths")) {
+    error("b." + name + "(), " + item + " is not a shape with paths");
+  }
+  var segments = [];
+  for (var i = 0; i < item.paths.length; i++) {
+    var path = item.paths.item(i);
+    var points = anchorTriples(path.entirePath);
+    var count = path.pathType === PathType.CLOSED_PATH ? points.length : points.length - 1;
+    for (var j = 0; j < count; j++) {
+      var next = points[(j + 1) % points.length];
+      segments.push(measureSegment([points[j][1], points[j][2], next[0], next[1]]));
+    }
+  }
+  return segments;
+}
+
+var SEGMENT_STEPS = 64;
+
+function measureSegment(points) {
+  var lengths = [0];
+  var length = 0;
+  var prev = points[0];
+  for (var i = 1; i <= SEGMENT_STEPS; i++) {
+    var p = bezierPoint(points, i / SEGMENT_STEPS);
+    length += Math.sqrt((p[0] - prev[0]) * (p[0] - prev[0]) + (p[1] - prev[1]) * (p[1] - prev[1]));
+    lengths.push(length);
+    prev = p;
+  }
+  return {points: points, length: length, lengths: lengths};
+}
+
+function bezierPoint(points, t) {
+  var u = 1 - t;
+  var w0 = u * u * u, w1 = 3 * u * u * t, w2 = 3 * u * t * t, w3 = t * t * t;
+  return [
+    w0 * points[0][0] + w1 * points[1][0] + w2 * points[2][0] + w3 * points[3][0],
+    w0 * points[0][1] + w1 * points[1][1] + w2 * points[2][1] + w3 * points[3][1]
+  ];
+}
+
+// finds the segment and its t value at the given distance from the start
+function segmentAtLength(name, item, length) {
+  if (!isNumber(length)) {
+    error("b." + name + "(), wrong parameters. Use: item, length");
+  }
+  var segments = pathSegments(name, item);
+  if (segments.length === 0) {
+    error("b." + name + "(), the item has no path segments");
+  }
+  length = Math.max(0, length);
+  for (var i = 0; i < segments.length; i++) {
+    var segment = segments[i];
+    if (length <= segment.length || i === segments.length - 1) {
+      length = Math.min(length, segment.length);
+      var lengths = segment.lengths;
+      for (var j = 1; j < lengths.length; j++) {
+        if (length <= lengths[j]) {
+          var part = lengths[j] - lengths[j - 1];
+          var t = (j - 1 + (part > 0 ? (length - lengths[j - 1]) / part : 0)) / SEGMENT_STEPS;
+          return {segment: segment, t: t};
+        }
+      }
+      return {segment: segment, t: 1};
+    }
+    length -= segment.length;
+  }
+  return null;
+}
+
+// maps a point on the page back to the coordinates of the current matrix
+function inverseMatrixPoint(p) {
+  var inverse = currMatrix.get();
+  inverse.invert();
+  return inverse.mult(p);
+}
+
+// the paths of an item as polylines {points, closed}, curves are approximated by straight lines
+function flattenPaths(name, item) {
+  checkNull(item);
+  if (!item.hasOwnProperty("paths")) {
+    error("b." + name + "(), " + item + " is not a shape with paths");
+  }
+  var result = [];
+  for (var i = 0; i < item.paths.length; i++) {
+    var path = item.paths.item(i);
+    var points = anchorTriples(path.entirePath);
+    var closed = path.pathType === PathType.CLOSED_PATH;
+    var count = closed ? points.length : points.length - 1;
+    var polyline = [points[0][1]];
+    for (var j = 0; j < count; j++) {
+      var next = points[(j + 1) % points.length];
+      var segment = [points[j][1], points[j][2], next[0], next[1]];
+      var straight = segment[1].toString() === segment[0].toString() && segment[2].toString() === segment[3].toString();
+      var steps = straight ? 1 : 16;
+      for (var k = 1; k <= steps; k++) {
+        polyline.push(bezierPoint(segment, k / steps));
+      }
+    }
+    if (closed) {
+      polyline.pop(); // the last point is the first one again
+    }
+    result.push({points: removeDuplicatePoints(polyline), closed: closed});
+  }
+  return result;
+}
+
+function removeDuplicatePoints(points) {
+  var result = [];
+  for (var i = 0; i < points.length; i++) {
+    var prev = result[result.length - 1];
+    if (!prev || Math.abs(prev[0] - points[i][0]) > pub.EPSILON || Math.abs(prev[1] - points[i][1]) > pub.EPSILON) {
+      result.push(points[i]);
+    }
+  }
+  return result;
+}
+
+// the normal on the left side of the line from p1 to p2, which points outwards for clockwise paths
+function lineNormal(p1, p2) {
+  var dx = p2[0] - p1[0];
+  var dy = p2[1] - p1[1];
+  var len = Math.sqrt(dx * dx + dy * dy);
+  return [dy / len, -dx / len];
+}
+
+// moves the lines of a polyline by the distance along their normals and joins them at the corners,
+// for closed polylines positive distances move outwards
+function offsetPolyline(points, closed, distance, join) {
+  if (points.length < 2 || distance === 0) {
+    return points.slice();
+  }
+  if (closed && signedArea(points) < 0) {
+    distance = -distance;
+  }
+
+  var result = [];
+  var n = points.length;
+  for (var i = 0; i < n; i++) {
+    var p = points[i];
+    var hasPrev = closed || i > 0;
+    var hasNext = closed || i < n - 1;
+    var prev = points[(i - 1 + n) % n];
+    var next = points[(i + 1) % n];
+    if (!hasPrev || !hasNext) {
+      var normal = hasNext ? lineNormal(p, next) : lineNormal(prev, p);
+      result.push([p[0] + normal[0] * distance, p[1] + normal[1] * distance]);
+      continue;
+    }
+    var n1 = lineNormal(prev, p);
+    var n2 = lineNormal(p, next);
+    var a = [p[0] + n1[0] * distance, p[1] + n1[1] * distance];
+    var b = [p[0] + n2[0] * distance, p[1] + n2[1] * distance];
+    var cross = (p[0] - prev[0]) * (next[1] - p[1]) - (p[1] - prev[1]) * (next[0] - p[0]);
+    var dot = n1[0] * n2[0] + n1[1] * n2[1];
+
+    if (Math.abs(cross) < pub.EPSILON && dot > 0) {
+      result.push(a); // straight on
+    } else if (cross * distance < 0) {
+      // inner corner, the offset lines cross each other
+      result.push(miterPoint(p, n1, n2, distance) || a);
+    } else if (join === pub.ROUND) {
+      var start = Math.atan2(n1[1], n1[0]);
+      var angle = Math.atan2(n1[0] * n2[1] - n1[1] * n2[0], dot);
+      var steps = Math.max(1, Math.ceil(Math.abs(angle) / (Math.PI / 16)));
+      for (var j = 0; j <= steps; j++) {
+        var theta = start + angle * j / steps;
+        result.push([p[0] + Math.cos(theta) * distance, p[1] + Math.sin(theta) * distance]);
+      }
+    } else {
+      var miter = join === pub.MITER ? miterPoint(p, n1, n2, distance) : null;
+      // like InDesign, miters longer than 4 times the distance are beveled
+      if (miter !== null && pub.dist(p[0], p[1], miter[0], miter[1]) <= 4 * Math.abs(distance)) {
+        result.push(miter);
+      } else {
+        result.push(a, b);
+      }
+    }
+  }
+  return result;
+}
+
+// the intersection of the two offset lines at a corner
+function miterPoint(p, n1, n2, distance) {
+  var dot = n1[0] * n2[0] + n1[1] * n2[1];
+  if (1 + dot < pub.EPSILON) {
+    return null;
+  }
+  var factor = distance / (1 + dot);
+  return [p[0] + (n1[0] + n2[0]) * factor, p[1] + (n1[1] + n2[1]) * factor];
+}
+
+// the closed outline around the stroke of an open polyline
+function strokeOutline(points, halfWeight, join, endCap) {
+  var result = offsetPolyline(points, false, halfWeight, join);
+  var addCap = function(center, from) {
+    var normal = lineNormal(from, center);
+    var dx = -normal[1], dy = normal[0];
+    if (endCap === EndCap.PROJECTING_END_CAP) {
+      result.push([center[0] + (normal[0] + dx) * halfWeight, center[1] + (normal[1] + dy) * halfWeight],
+                  [center[0] + (dx - normal[0]) * halfWeight, center[1] + (dy - normal[1]) * halfWeight]);
+    } else if (endCap === EndCap.ROUND_END_CAP) {
+      var start = Math.atan2(normal[1], normal[0]);
+      for (var i = 1; i < 16; i++) {
+        var theta = start + Math.PI * i / 16;
+        result.push([center[0] + Math.cos(theta) * halfWeight, center[1] + Math.sin(theta) * halfWeight]);
+      }
+    }
+  };
+  addCap(points[points.length - 1], points[points.length - 2]);
+  result = result.concat(offsetPolyline(points, false, -halfWeight, join).reverse());
+  addCap(points[0], points[1]);
+  return result;
+}
+
+// a minimal XML parser for SVG files, returns a tree of {name, attrs, children}
+function parseXml(data) {
+  data = data.replace(/<\?[\s\S]*?\?>/g, "")
+    .replace(/<!--[\s\S]*?-->/g, "")
+    .replace(/<!\[CDATA\[[\s\S]*?\]\]>/g, "")
+    .replace(/<!DOCTYPE[^>\[]*(\[[\s\S]*?\])?\s*>/gi, "");
+
+  var root = {name: "#document", attrs: {}, children: []};
+  var stack = [root];
+  var tagPattern = /<(\/?)([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/g;
+  var attrPattern = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+  var match;
+  while ((match = tagPattern.exec(data)) !== null) {
+    var name = match[2].replace(/^.*:/, "");
+    if (match[1] === "/") {
+      while (stack.length > 1 && stack.pop().name !== name) {
+        // skip unclosed elements
+      }
+      continue;
+    }
+    var node = {name: name, attrs: {}, children: []};
+    var attr;
+    attrPattern.lastIndex = 0;
+    while ((attr = attrPattern.exec(match[3])) !== null) {
+      node.attrs[attr[1]] = typeof attr[2] === "string" && attr[2] !== "" ? attr[2] : attr[3] || "";
+    }
+    stack[stack.length - 1].children.push(node);
+    if (match[4] !== "/") {
+      stack.push(node);
+    }
+  }
+  return root;
+}
+
+function findSvgElement(node) {
+  if (node.name === "svg") {
+    return node;
+  }
+  for (var i = 0; i < node.children.length; i++) {
+    var svg = findSvgElement(node.children[i]);
+    if (svg !== null) {
+      return svg;
+    }
+  }
+  return null;
+}
+
+// the width or height of the svg element in the current units, NaN for percentages or missing values,
+// lengths without unit or in px are taken as user units
+function svgLength(value) {
+  var match = /^\s*([+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)\s*(px|pt|pc|mm|cm|in)?\s*$/i.exec(value || "");
+  if (match === null) {
+    return NaN;
+  }
+  var length = parseFloat(match[1]);
+  var unit = (match[2] || "px").toLowerCase();
+  if (unit === "px") {
+    return length;
+  }
+  return new UnitValue(length, unit).as(currUnits);
+}
+
+function parseSvgNumbers(str) {
+  var numbers = str.match(/[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/g) || [];
+  for (var i = 0; i < numbers.length; i++) {
+    numbers[i] = parseFloat(numbers[i]);
+  }
+  return numbers;
+}
+
+// multiplies two SVG matrices [a, b, c, d, e, f]
+function multiplySvgMatrix(m1, m2) {
+  return [
+    m1[0] * m2[0] + m1[2] * m2[1],
+    m1[1] * m2[0] + m1[3] * m2[1],
+    m1[0] * m2[2] + m1[2] * m2[3],
+    m1[1] * m2[2] + m1[3] * m2[3],
+    m1[0] * m2[4] + m1[2] * m2[5] + m1[4],
+    m1[1] * m2[4] + m1[3] * m2[5] + m1[5]
+  ];
+}
+
+// applies the transform attribute of an element, e.g. "translate(10 20) rotate(45)", to the matrix
+function svgTransform(matrix, transform) {
+  var pattern = /(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)/g;
+  var match;
+  while ((match = pattern.exec(transform)) !== null) {
+    var v = parseSvgNumbers(match[2]);
+    var m;
+    if (match[1] === "matrix" && v.length === 6) {
+      m = v;
+    } else if (match[1] === "translate") {
+      m = [1, 0, 0, 1, v[0] || 0, v[1] || 0];
+    } else if (match[1] === "scale") {
+      m = [v[0], 0, 0, v.length > 1 ? v[1] : v[0], 0, 0];
+    } else if (match[1] === "rotate") {
+      var angle = pub.radians(v[0]);
+      var cos = Math.cos(angle);
+      var sin = Math.sin(angle);
+      m = [cos, sin, -sin, cos, 0, 0];
+      if (v.length === 3) {
+        m = multiplySvgMatrix(multiplySvgMatrix([1, 0, 0, 1, v[1], v[2]], m), [1, 0, 0, 1, -v[1], -v[2]]);
+      }
+    } else if (match[1] === "skewX") {
+      m = [1, 0, Math.tan(pub.radians(v[0])), 1, 0, 0];
+    } else if (match[1] === "skewY") {
+      m = [1, Math.tan(pub.radians(v[0])), 0, 1, 0, 0];
+    } else {
+      continue;
+    }
+    matrix = multiplySvgMatrix(matrix, m);
+  }
+  return matrix;
+}
+
+// the presentation attributes and style properties of an element, inherited from its parent
+function svgStyle(node, parentStyle) {
+  var style = {};
+  for (var key in parentStyle) {
+    if (parentStyle.hasOwnProperty(key)) {
+      style[key] = parentStyle[key];
+    }
+  }
+  var props = {fill: node.attrs.fill, stroke: node.attrs.stroke, "stroke-width": node.attrs["stroke-width"]};
+  var declarations = (node.attrs.style || "").split(";");
+  for (var i = 0; i < declarations.length; i++) {
+    var pair = declarations[i].split(":");
+    if (pair.length === 2) {
+      props[pub.trim(pair[0])] = pub.trim(pair[1]);
+    }
+  }
+  for (key in props) {
+    if (props.hasOwnProperty(key) && typeof props[key] === "string" && style.hasOwnProperty(key) && key !== "opacity") {
+      style[key] = props[key];
+    }
+  }
+  var opacity = parseFloat(props.opacity || node.attrs.opacity);
+  if (!isNaN(opacity)) {
+    style.opacity *= opacity;
+  }
+  return style;
+}
+
+function svgPaint(value) {
+  value = pub.trim(value);
+  if (value === "none" || value === "transparent") {
+    return noneSwatchColor;
+  }
+  if (value.indexOf("url(") === 0 || value === "currentColor" || value === "inherit") {
+    warning("b.loadShape(), the paint \"" + value + "\" is not supported, using black");
+    return "Black";
+  }
+  // SVG colors are always created as process colors, independent of the current colorType()
+  var props = colorStringProps(value);
+  if (props === null) {
+    warning("b.loadShape(), the paint \"" + value + "\" is not supported, using black");
+    return "Black";
+  }
+  return addColor(props);
+}
+
+// converts the basic shapes to path data
+function svgElementPathData(node) {
+  var a = node.attrs;
+  var num = function(name) {
+    var value = parseFloat(a[name]);
+    return isNaN(value) ? 0 : value;
+  };
+  if (node.name === "path") {
+    return a.d || "";
+  } else if (node.name === "rect") {
+    var h = num("height"), w = num("width"), x = num("x"), y = num("y");
+    var rx = Math.min(num(a.hasOwnProperty("rx") ? "rx" : "ry"), w / 2);
+    var ry = Math.min(num(a.hasOwnProperty("ry") ? "ry" : "rx"), h / 2);
+    if (rx > 0 && ry > 0) {
+      return "M" + (x + rx) + " " + y + "H" + (x + w - rx) + "A" + rx + " " + ry + " 0 0 1 " + (x + w) + " " + (y + ry) +
+        "V" + (y + h - ry) + "A" + rx + " " + ry + " 0 0 1 " + (x + w - rx) + " " + (y + h) +
+        "H" + (x + rx) + "A" + rx + " " + ry + " 0 0 1 " + x + " " + (y + h - ry) +
+        "V" + (y + ry) + "A" + rx + " " + ry + " 0 0 1 " + (x + rx) + " " + y + "Z";
+    }
+    return "M" + x + " " + y + "H" + (x + w) + "V" + (y + h) + "H" + x + "Z";
+  } else if (node.name === "circle" || node.name === "ellipse") {
+    var cx = num("cx"), cy = num("cy");
+    var erx = node.name === "circle" ? num("r") : num("rx");
+    var ery = node.name === "circle" ? num("r") : num("ry");
+    return "M" + (cx - erx) + " " + cy + "A" + erx + " " + ery + " 0 1 0 " + (cx + erx) + " " + cy +
+      "A" + erx + " " + ery + " 0 1 0 " + (cx - erx) + " " + cy + "Z";
+  } else if (node.name === "line") {
+    return "M" + num("x1") + " " + num("y1") + "L" + num("x2") + " " + num("y2");
+  } else if (node.name === "polyline" || node.name === "polygon") {
+    return "M" + (a.points || "") + (node.name === "polygon" ? "Z" : "");
+  }
+  return "";
+}
+
+function drawSvgElement(node, matrix, parentStyle, items) {
+  if (node.attrs.transform) {
+    matrix = svgTransform(matrix, node.attrs.transform);
+  }
+  var style = svgStyle(node, parentStyle);
+
+  if (node.name === "svg" || node.name === "g" || node.name === "a") {
+    for (var i = 0; i < node.children.length; i++) {
+      drawSvgElement(node.children[i], matrix, style, items);
+    }
+    return;
+  }
+
+  var pathData = svgElementPathData(node);
+  if (pathData === "" || pathData === "M") {
+    return;
+  }
+  currFillColor = svgPaint(style.fill);
+  currStrokeColor = svgPaint(style.stroke);
+  if (currFillColor === noneSwatchColor && currStrokeColor === noneSwatchColor) {
+    return;
+  }
+  // the stroke weight scales with the drawing and is measured in points
+  var scale = Math.sqrt(Math.abs(matrix[0] * matrix[3] - matrix[1] * matrix[2]));
+  currStrokeWeight = new UnitValue(parseFloat(style["stroke-width"]) * scale, currUnits).as("pt");
+
+  var item = drawSubpaths(svgPathSubpaths(pathData), matrix);
+  if (style.opacity < 1) {
+    pub.opacity(item, style.opacity * 100);
+  }
+  items.push(item);
+}
+
+// converts an SVG elliptical arc to cubic bezier segments of at most 90 degrees,
+// returns the arguments for bezierVertex(), see https://www.w3.org/TR/SVG/implnote.html#ArcImplementationNotes
+function svgArcToBeziers(x1, y1, rx, ry, rotation, largeArc, sweep, x2, y2) {
+  if (rx === 0 || ry === 0) {
+    return [[x1, y1, x2, y2, x2, y2]];
+  }
+  if (x1 === x2 && y1 === y2) {
+    return [];
+  }
+  rx = Math.abs(rx);
+  ry = Math.abs(ry);
+  var phi = pub.radians(rotation);
+  var cosPhi = Math.cos(phi);
+  var sinPhi = Math.sin(phi);
+
+  var dx = (x1 - x2) / 2;
+  var dy = (y1 - y2) / 2;
+  var x1p = cosPhi * dx + sinPhi * dy;
+  var y1p = -sinPhi * dx + cosPhi * dy;
+
+  // scale up radii that are too small to reach the end point
+  var lambda = (x1p * x1p) / (rx * rx) + (y1p * y1p) / (ry * ry);
+  if (lambda > 1) {
+    rx *= Math.sqrt(lambda);
+    ry *= Math.sqrt(lambda);
+  }
+
+  var num = rx * rx * ry * ry - rx * rx * y1p * y1p - ry * ry * x1p * x1p;
+  var den = rx * rx * y1p * y1p + ry * ry * x1p * x1p;
+  var coef = Math.sqrt(Math.max(0, num / den)) * (largeArc === sweep ? -1 : 1);
+  var cxp = coef * rx * y1p / ry;
+  var cyp = -coef * ry * x1p / rx;
+  var cx = cosPhi * cxp - sinPhi * cyp + (x1 + x2) / 2;
+  var cy = sinPhi * cxp + cosPhi * cyp + (y1 + y2) / 2;
+
+  var angle = function(ux, uy, vx, vy) {
+    return Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+  };
+  var theta1 = angle(1, 0, (x1p - cxp) / rx, (y1p - cyp) / ry);
+  var delta = angle((x1p - cxp) / rx, (y1p - cyp) / ry, (-x1p - cxp) / rx, (-y1p - cyp) / ry);
+  if (!sweep && delta > 0) {
+    delta -= pub.TWO_PI;
+  } else if (sweep && delta < 0) {
+    delta += pub.TWO_PI;
+  }
+
+  var segments = Math.ceil(Math.abs(delta) / pub.HALF_PI - pub.EPSILON);
+  var step = delta / segments;
+  var k = 4 / 3 * Math.tan(step / 4);
+  var point = function(px, py) {
+    return [cx + rx * px * cosPhi - ry * py * sinPhi, cy + rx * px * sinPhi + ry * py * cosPhi];
+  };
+
+  var curves = [];
+  for (var i = 0; i < segments; i++) {
+    var a1 = theta1 + i * step;
+    var a2 = a1 + step;
+    var c1 = point(Math.cos(a1) - k * Math.sin(a1), Math.sin(a1) + k * Math.cos(a1));
+    var c2 = point(Math.cos(a2) + k * Math.sin(a2), Math.sin(a2) - k * Math.cos(a2));
+    var end = i === segments - 1 ? [x2, y2] : point(Math.cos(a2), Math.sin(a2));
+    curves.push([c1[0], c1[1], c2[0], c2[1], end[0], end[1]]);
+  }
+  return curves;
+}
+
+function doAddPath() {
+  if (isArray(currVertexPoints)) {
+    addCurveVertices();
+    if (currVertexPoints.length > 0) {
+
+      if(currPolygon === null) {
+        addPolygon();
+      } else {
+        currPolygon.paths.add();
+      }
+
+      currPolygon.paths.item(currPathPointer).entirePath = currVertexPoints;
+      currVertexPoints = [];
+    }
+  } else {
+    notCalledBeginShapeError();
+  }
+}
+
+function addPolygon() {
+  if (currShapeMode === pub.CLOSE) {
+    currPolygon = currentPage().polygons.add(currentLayer());
+  } else {
+    currPolygon = currentPage().graphicLines.add(currentLayer());
+  }
+  with (currPolygon) {
+    strokeWeight = currStrokeWeight;
+    strokeTint = currStrokeTint;
+    fillColor = currFillColor;
+    fillTint = currFillTint;
+    strokeColor = currStrokeColor;
+  }
+  applyStrokeStyle(currPolygon);
+}
+
+// draws a closed shape with the corners evenly spaced around the center, alternating between the radii
+function regularShape(x, y, radii, corners) {
+  var outer = Math.max.apply(null, radii);
+  if (currEllipseMode === pub.CORNER || currEllipseMode === pub.CORNERS) {
+    // x and y are the top left corner of the bounding box of the outer circle
+    x += outer;
+    y += outer;
+  } else if (currEllipseMode !== pub.CENTER && currEllipseMode !== pub.RADIUS) {
+    error("Unsupported ellipseMode " + currEllipseMode + ". Use: CENTER, RADIUS, CORNER or CORNERS");
+  }
+  var points = [];
+  for (var i = 0; i < corners; i++) {
+    var angle = -pub.HALF_PI + pub.TWO_PI * i / corners;
+    var r = radii[i % radii.length];
+    points.push([x + r * Math.cos(angle), y + r * Math.sin(angle)]);
+  }
+  return drawPolygon(points);
+}
+
+// draws a closed polygon directly, without touching the state of beginShape() and endShape()
+function drawPolygon(points) {
+  var polygon = currentPage().polygons.add(currentLayer());
+  with (polygon) {
+    strokeWeight = currStrokeWeight;
+    strokeTint = currStrokeTint;
+    fillColor = currFillColor;
+    fillTint = currFillTint;
+    strokeColor = currStrokeColor;
+  }
+  applyStrokeStyle(polygon);
+  polygon.paths.item(0).entirePath = points;
+  polygon.transform(CoordinateSpaces.PASTEBOARD_COORDINATES,
+                    AnchorPoint.TOP_LEFT_ANCHOR,
+                    currMatrix.adobeMatrix());
+  return polygon;
+}
+
+function notCalledBeginShapeError () {
+  error("b.endShape(), you have to call first beginShape(), before calling vertex() and endShape()");
+}
+
+function cornerOptions() {
+  var options = {};
+  options[pub.ROUND] = CornerOptions.ROUNDED_CORNER;
+  options[pub.INVERSE_ROUND] = CornerOptions.INVERSE_ROUNDED_CORNER;
+  options[pub.BEVEL] = CornerOptions.BEVEL_CORNER;
+  options[pub.INSET] = CornerOptions.INSET_CORNER;
+  options[pub.FANCY] = CornerOptions.FANCY_CORNER;
+  return options;
+}
+
+// radii in the order top left, top right, bottom right, bottom left, a radius of 0 keeps the corner sharp
+function setCorners(item, radii) {
+  var names = ["topLeft", "topRight", "bottomRight", "bottomLeft"];
+  var option = cornerOptions()[currCornerMode];
+  for (var i = 0; i < 4; i++) {
+    if (!isNumber(radii[i]) || radii[i] < 0) {
+      error("b.rect(), the corner radii have to be positive numbers");
+    }
+    item[names[i] + "CornerOption"] = radii[i] > 0 ? option : CornerOptions.NONE;
+    item[names[i] + "CornerRadius"] = radii[i];
+  }
+}
+
+// the InDesign values of the stroke settings by their basil constants
+var strokeAlignments = {}, strokeCaps = {}, strokeJoins = {};
+strokeCaps[pub.SQUARE] = EndCap.BUTT_END_CAP;
+strokeCaps[pub.PROJECT] = EndCap.PROJECTING_END_CAP;
+strokeCaps[pub.ROUND] = EndCap.ROUND_END_CAP;
+strokeJoins[pub.MITER] = EndJoin.MITER_END_JOIN;
+strokeJoins[pub.BEVEL] = EndJoin.BEVEL_END_JOIN;
+strokeJoins[pub.ROUND] = EndJoin.ROUND_END_JOIN;
+strokeAlignments[pub.CENTER] = StrokeAlignment.CENTER_ALIGNMENT;
+strokeAlignments[pub.INSIDE] = StrokeAlignment.INSIDE_ALIGNMENT;
+strokeAlignments[pub.OUTSIDE] = StrokeAlignment.OUTSIDE_ALIGNMENT;
+
+// only the stroke settings set by the user are applied, otherwise the document defaults are kept
+function applyStrokeStyle(item) {
+  if (currStrokeCap !== null) {
+    item.endCap = strokeCaps[currStrokeCap];
+  }
+  if (currStrokeJoin !== null) {
+    item.endJoin = strokeJoins[currStrokeJoin];
+  }
+  if (currStrokeAlign !== null && !(item instanceof GraphicLine)) {
+    item.strokeAlignment = strokeAlignments[currStrokeAlign];
+  }
+  if (currStrokeType !== null) {
+    item.strokeType = currStrokeType;
+  }
+  if (currStrokeDash.length > 0) {
+    item.strokeDashAndGap = currStrokeDash;
+  }
+}
+
+// the stroke setting in effect, either the one set by the user or the constant of the document default
+function strokeSetting(values, setting, documentValue) {
+  if (setting !== null) {
+    return setting;
+  }
+  for (var key in values) {
+    if (values.hasOwnProperty(key) && values[key] === documentValue) {
+      return key;
+    }
+  }
+  return null;
+}
+
+/**
+ * Draws a rectangle on the page. Optionally the corners can be rounded or shaped according
+ * to the current cornerMode(), either all by the same radius or each corner by its own radius.
+ *
+ * @cat Document
+ * @subcat Primitives
+ * @method rect
+ * @param  {Number} x Position X
+ * @param  {Number} y Position Y
+ * @param  {Number} w Width
+ * @param  {Number} h Height
+ * @param  {Number} [tl] Radius of all corners or, if the other radii are given, of the top left corner
+ * @param  {Number} [tr] Radius of the top right corner
+ * @param  {Number} [br] Radius of the bottom right corner
+ * @param  {Number} [bl] Radius of the bottom left corner
+ * @return {Rectangle} New rectangle
+ */
+pub.rect = function(x, y, w, h, tl, tr, br, bl) {
+  if (w === 0 || h === 0) {
+    // indesign doesn't draw a rectangle if width or height are set to 0
+    return false;
+  }
+  if (arguments.length !== 4 && arguments.length !== 5 && arguments.length !== 8) {
+    error("b.rect(), not enough parameters to draw a rect! Use: x, y, w, h, [radius] or x, y, w, h, tl, tr, br, bl");
+  }
+
+  var rectBounds = [];
+  if (currRectMode === pub.CORNER) {
+    rectBounds[0] = y;
+    rectBounds[1] = x;
+    rectBounds[2] = (y + h);
+    rectBounds[3] = (x + w);
+  } else if (currRectMode === pub.CORNERS) {
+    rectBounds[0] = y;
+    rectBounds[1] = x;
+    rectBounds[2] = h;
+    rectBounds[3] = w;
+  } else if (currRectMode === pub.CENTER) {
+    rectBounds[0] = y - (h / 2);
+    rectBounds[1] = x - (w / 2);
+    rectBounds[2] = (y + h) - (h / 2);
+    rectBounds[3] = (x + w) - (w / 2);
+  }
+
+  var newRect = currentPage().rectangles.add(currentLayer());
+  with (newRect) {
+    geometricBounds = rectBounds;
+    strokeWeight = currStrokeWeight;
+    strokeTint = currStrokeTint;
+    fillColor = currFillColor;
+    fillTint = currFillTint;
+    strokeColor = currStrokeColor;
+  }
+  applyStrokeStyle(newRect);
+  if (arguments.length === 5) {
+    setCorners(newRect, [tl, tl, tl, tl]);
+  } else if (arguments.length === 8) {
+    setCorners(newRect, [tl, tr, br, bl]);
+  }
+
+  if (currRectMode === pub.CENTER) {
+    newRect.transform(CoordinateSpaces.PASTEBOARD_COORDINATES,
+                       AnchorPoint.CENTER_ANCHOR,
+                       currMatrix.adobeMatrix());
+  } else {
+    newRect.transform(CoordinateSpaces.PASTEBOARD_COORDINATES,
+                   AnchorPoint.TOP_LEFT_ANCHOR,
+                   currMatrix.adobeMatrix());
+  }
+  return newRect;
+};
+
+
+// -- Attributes --
+
+/**
+ * Modifies the location from which rectangles draw. The default mode is
+ * rectMode(CORNER), which specifies the location to be the upper left
+ * corner of the shape and uses the third and fourth parameters of rect()
+ * to specify the width and height. The syntax rectMode(CORNERS) uses the
+ * first and second parameters of rect() to set the location of one corner
+ * and uses the third and fourth parameters to set the opposite corner.
+ * The syntax rectMode(CENTER) draws the image from its center point and
+ * uses the third and forth parameters of rect() to specify the image's
+ * width and height. The syntax rectMode(RADIUS) draws the image from its
+ * center point and uses the third and forth parameters of rect() to specify
+ * half of the image's width and height. The parameter must be written in
+ * "ALL CAPS".
+ *
+ * @cat Document
+ * @subcat Attributes
+ * @method rectMode
+ * @param {String} mode Either b.CORNER, b.CORNERS, b.CENTER, or b.RADIUS
+ *
+ */
+pub.rectMode = function (mode) {
+  if (arguments.length === 0) return currRectMode;
+  if (mode === pub.CORNER || mode === pub.CORNERS || mode === pub.CENTER) {
+    currRectMode = mode;
+    return currRectMode;
+  } else {
+    error("b.rectMode(), unsupported rectMode. Use: CORNER, CORNERS, CENTER.");
+  }
+};
+
+/**
+ * Sets the shape of the corners of rectangles drawn with radii by rect(), the default is b.ROUND.
+ * Without a parameter the current mode is returned.
+ *
+ * @cat Document
+ * @subcat Attributes
+ * @method cornerMode
+ * @param {String} [mode] Either b.ROUND, b.INVERSE_ROUND, b.BEVEL, b.INSET or b.FANCY
+ * @return {String} The current corner mode
+ */
+pub.cornerMode = function (mode) {
+  if (arguments.length === 0) return currCornerMode;
+  if (cornerOptions().hasOwnProperty(mode)) {
+    currCornerMode = mode;
+    return currCornerMode;
+  }
+  error("b.cornerMode(), unsupported cornerMode. Use: ROUND, INVERSE_ROUND, BEVEL, INSET or FANCY.");
+};
+
+/**
+ * The origin of the ellipse is modified by the ellipseMode() function.
+ * The default configuration is ellipseMode(CENTER), which specifies the
+ * location of the ellipse as the center of the shape. The RADIUS mode is
+ * the same, but the width and height parameters to ellipse() specify the
+ * radius of the ellipse, rather than the diameter. The CORNER mode draws
+ * the shape from the upper-left corner of its bounding box. The CORNERS
+ * mode uses the four parameters to ellipse() to set two opposing corners
+ * of the ellipse's bounding box. The parameter must be written in "ALL CAPS".
+ *
+ * @cat Document
+ * @subcat Attributes
+ * @method ellipseMode
+ * @param {String} mode Either b.CENTER, b.RADIUS, b.CORNER, or b.CORNERS
+ */
+pub.ellipseMode = function (mode) {
+  if (arguments.length === 0) return currEllipseMode;
+  if (mode === pub.CORNER || mode === pub.CORNERS || mode === pub.CENTER || mode === pub.RADIUS) {
+    currEllipseMode = mode;
+    return currEllipseMode;
+  } else {
+    error("b.ellipseMode(), Unsupported ellipseMode. Use: CENTER, RADIUS, CORNER, CORNERS.");
+  }
+};
+
+/**
+ * Sets the width of the stroke used for lines and the border
+ * around shapes.
+ *
+ * @cat Document
+ * @subcat Attributes
+ * @method strokeWeight
+ * @param {Number} weight The width of the stroke
+ */
+pub.strokeWeight = function (weight) {
+  if (typeof weight === "string" || typeof weight === "number") {
     currStrokeWeight = weight;
   } else {
     error("b.strokeWeight, not supported type. Please make sure the strokeweight is a number or string");
   }
 };
 
+/**
+ * Sets the style of the line ends of strokes, b.SQUARE ends lines flat at their end points, b.PROJECT extends them
+ * by half the stroke weight and b.ROUND rounds them. As long as no cap is set, new shapes keep the cap of
+ * the document, usually b.SQUARE.
+ * Without a parameter the cap in effect is returned, which is the cap of the document as long as none is set.
+ *
+ * @cat Document
+ * @subcat Attributes
+ * @method strokeCap
+ * @param {String} [cap] Either b.SQUARE, b.PROJECT or b.ROUND
+ * @return {String} The stroke cap in effect
+ */
+pub.strokeCap = function (cap) {
+  if (arguments.length === 0) return strokeSetting(strokeCaps, currStrokeCap, currentDoc().pageItemDefaults.endCap);
+  if (cap === pub.SQUARE || cap === pub.PROJECT || cap === pub.ROUND) {
+    currStrokeCap = cap;
+    return currStrokeCap;
+  }
+  error("b.strokeCap(), unsupported cap. Use: SQUARE, PROJECT or ROUND.");
+};
+
+/**
+ * Sets the style of the corners of strokes to b.MITER, b.BEVEL or b.ROUND. As long as no join is set,
+ * new shapes keep the join of the document, usually b.MITER.
+ * Without a parameter the join in effect is returned, which is the join of the document as long as none is set.
+ *
+ * @cat Document
+ * @subcat Attributes
+ * @method strokeJoin
+ * @param {String} [join] Either b.MITER, b.BEVEL or b.ROUND
+ * @return {String} The stroke join in effect
+ */
+pub.strokeJoin = function (join) {
+  if (arguments.length === 0) return strokeSetting(strokeJoins, currStrokeJoin, currentDoc().pageItemDefaults.endJoin);
+  if (join === pub.MITER || join === pub.BEVEL || join === pub.ROUND) {
+    currStrokeJoin = join;
+    return currStrokeJoin;
+  }
+  error("b.strokeJoin(), unsupported join. Use: MITER, BEVEL or ROUND.");
+};
+
+/**
+ * Sets whether strokes are drawn centered on the path, inside or outside of it. As long as no alignment is set,
+ * new shapes keep the alignment of the document, usually b.CENTER.
+ * Open paths like lines are always stroked centered.
+ * Without a parameter the alignment in effect is returned, which is the alignment of the document as long as
+ * none is set.
+ *
+ * @cat Document
+ * @subcat Attributes
+ * @method strokeAlign
+ * @param {String} [align] Either b.CENTER, b.INSIDE or b.OUTSIDE
+ * @return {String} The stroke alignment in effect
+ */
+pub.strokeAlign = function (align) {
+  if (arguments.length === 0) return strokeSetting(strokeAlignments, currStrokeAlign, currentDoc().pageItemDefaults.strokeAlignment);
+  if (align === pub.CENTER || align === pub.INSIDE || align === pub.OUTSIDE) {
+    currStrokeAlign = align;
+    return currStrokeAlign;
+  }
+  error("b.strokeAlign(), unsupported alignment. Use: CENTER, INSIDE or OUTSIDE.");
+};
+
+/**
+ * Sets the stroke type by the name of a stroke style, e.g. "Solid", "Dashed", "Dotted", "Thick - Thin"
+ * or the name of a custom stroke style of the document. The built-in styles can also be given by their
+ * locale independent names like "$ID/Solid", which work in every language version of InDesign.
+ * As long as no stroke type is set, new shapes keep the stroke type of the document, usually "Solid".
+ * Without a parameter the current stroke type is returned.
+ *
+ * @cat Document
+ * @subcat Attributes
+ * @method strokeType
+ * @param {String|StrokeStyle} [type] The stroke style or its name
+ * @return {String} The name of the current stroke type
+ */
+pub.strokeType = function (type) {
+  if (arguments.length === 0) return currentDoc().strokeStyles.itemByName(currStrokeType || "$ID/Solid").name;
+  if (type instanceof StrokeStyle) {
+    type = type.name;
+  }
+  if (typeof type !== "string") {
+    error("b.strokeType(), not supported type. Use the name of a stroke style, e.g. \"Dashed\"");
+  }
+  if (!currentDoc().strokeStyles.itemByName(type).isValid) {
+    error("b.strokeType(), the stroke style \"" + type + "\" does not exist");
+  }
+  currStrokeType = type;
+  if (currentDoc().strokeStyles.itemByName(type).name !== currentDoc().strokeStyles.itemByName("$ID/Dashed").name) {
+    currStrokeDash = [];
+  }
+  return currStrokeType;
+};
+
+/**
+ * Sets a dash pattern for strokes as an array of alternating dash and gap lengths, e.g. [10, 5] or [10, 5, 2, 5].
+ * Up to three pairs of dashes and gaps are possible. Setting a pattern sets the stroke type to "Dashed",
+ * an empty array switches back to solid strokes.
+ * Without a parameter the current pattern is returned.
+ *
+ * @cat Document
+ * @subcat Attributes
+ * @method strokeDash
+ * @param {Number[]} [pattern] The lengths of the dashes and gaps
+ * @return {Number[]} The current dash pattern
+ */
+pub.strokeDash = function (pattern) {
+  if (arguments.length === 0) return currStrokeDash.slice();
+  if (!isArray(pattern) || pattern.length % 2 !== 0 || pattern.length > 6) {
+    error("b.strokeDash(), wrong parameters. Use an array of up to three dash and gap pairs, e.g. [10, 5]");
+  }
+  for (var i = 0; i < pattern.length; i++) {
+    if (!isNumber(pattern[i]) || pattern[i] < 0) {
+      error("b.strokeDash(), the dash and gap lengths have to be positive numbers");
+    }
+  }
+  currStrokeDash = pattern.slice();
+  // the locale independent names of the built-in stroke styles
+  currStrokeType = pattern.length > 0 ? "$ID/Dashed" : "$ID/Solid";
+  return currStrokeDash.slice();
+};
+
 /**
  * Returns the object style with the given name. If the style does not exist it gets created.
  *
@@ -52,6 +52,79 @@ pub.text = function(txt, x, y, w, h) {
   return textFrame;
 };
 
+/**
+ * Creates text along the path of a shape, e.g. an item created by b.line(), b.arc(), b.ellipse() or b.endShape().
+ * Like b.text() the current font, font size, fill color, alignment, leading, kerning and tracking will be used.
+ * The options object can contain the following properties:
+ * <code>align</code> The horizontal alignment along the path, one of the InDesign Justification enum values,
+ * defaults to the current textAlign() <br />
+ * <code>textAlignment</code> The part of the text that is aligned to the path, one of the InDesign
+ * TextTypeAlignments enum values, e.g. TextTypeAlignments.CENTER_TEXT_ALIGNMENT <br />
+ * <code>pathAlignment</code> The part of the stroke the text is aligned to, one of the InDesign
+ * PathTypeAlignments enum values, e.g. PathTypeAlignments.TOP_PATH_ALIGNMENT <br />
+ * <code>start</code> The offset of the text from the start of the path in the current units <br />
+ * <code>end</code> The offset of the text from the end of the path in the current units <br />
+ * <code>effect</code> b.RAINBOW (default), b.SKEW, b.RIBBON, b.STAIR_STEP or b.GRAVITY <br />
+ * <code>flip</code> If true, the text runs on the other side of the path in the opposite direction <br />
+ * <code>spacing</code> The spacing of characters in sharp curves
+ *
+ * @cat Typography
+ * @method textPath
+ * @param  {String} txt The text content to set on the path.
+ * @param  {PageItem} item The shape to attach the text to.
+ * @param  {Object} [options] The options of the text path.
+ * @return {TextPath} The created text path instance
+ */
+pub.textPath = function(txt, item, options) {
+  if (arguments.length < 2) error("b.textPath(), not enough parameters. Use: b.textPath(txt, item, [options])");
+  if (txt === null || typeof txt === "undefined") error("b.textPath(), the first parameter has to be a string! Use: b.textPath(txt, item, [options])");
+  if (!(isString(txt) || isNumber(txt))) warning("b.textPath(), the first parameter has to be a string! But is something else: " + typeof txt + ". Use: b.textPath(txt, item, [options])");
+  checkNull(item);
+  if (!item.hasOwnProperty("textPaths")) error("b.textPath(), " + item + " is not a shape that can hold text on a path.");
+  options = options || {};
+
+  var props = {};
+  for (var key in options) {
+    if (!options.hasOwnProperty(key)) {
+      continue;
+    }
+    var value = options[key];
+    if (key === "textAlignment" || key === "pathAlignment") {
+      props[key] = value;
+    } else if (key === "effect") {
+      if (!textPathEffects.hasOwnProperty(value)) {
+        error("b.textPath(), unsupported effect. Use: RAINBOW, SKEW, RIBBON, STAIR_STEP or GRAVITY.");
+      }
+      props.pathEffect = textPathEffects[value];
+    } else if (key === "flip") {
+      props.flipPathEffect = value ? FlipValues.FLIPPED : FlipValues.NOT_FLIPPED;
+    } else if (key === "spacing") {
+      props.pathSpacing = value;
+    } else if (key === "start") {
+      props.startBracket = value;
+    } else if (key === "end") {
+      props.endBracket = pub.pathLength(item) - value;
+    } else if (key !== "align") {
+      error("b.textPath(), unknown option \"" + key + "\".");
+    }
+  }
+
+  var textPath = item.textPaths.add();
+  textPath.contents = txt.toString();
+  textPath.properties = props;
+  pub.typo(textPath.parentStory, {
+    appliedFont: currFont,
+    pointSize: currFontSize,
+    fillColor: currFillColor,
+    justification: options.align || currAlign,
+    leading: currLeading,
+    kerningValue: currKerning,
+    tracking: currTracking
+  });
+
+  return textPath;
+};
+
 /**
  * Sets text properties to the given item. If the item is not an instance the text property can be set to,
  * the property gets set to the direct descendants of the given item, e.g. all stories of a given document.
@@ -244,39 +317,324 @@ pub.textTracking = function(tracking) {
   return currTracking;
 };
 
+/**
+ * Returns the width of the given text in the current units, measured with the current font, font size,
+ * kerning and tracking. For text with several lines the width of the widest line is returned.
+ *
+ * @cat Typography
+ * @subcat Metrics
+ * @method textWidth
+ * @param  {String} txt The text to measure.
+ * @return {Number}     The width of the text.
+ */
+pub.textWidth = function(txt) {
+  if (!(isString(txt) || isNumber(txt))) error("b.textWidth(), the parameter has to be a string. Use: b.textWidth(txt)");
+  var lines = txt.toString().split(/\r\n|\r|\n/);
+  var width = 0;
+  for (var i = 0; i < lines.length; i++) {
+    width = Math.max(width, measureText(lines[i], function(textFrame) {
+      return textFrame.insertionPoints[-1].horizontalOffset - textFrame.insertionPoints[0].horizontalOffset;
+    }));
+  }
+  return width;
+};
+
+/**
+ * Returns the height of the given text in the current units, measured with the current font, font size
+ * and leading, from the top of the first line (its ascent) to the bottom of the last line (its descent).
+ * Lines are only broken at line breaks in the text.
+ *
+ * @cat Typography
+ * @subcat Metrics
+ * @method textHeight
+ * @param  {String} txt The text to measure.
+ * @return {Number}     The height of the text.
+ */
+pub.textHeight = function(txt) {
+  if (!(isString(txt) || isNumber(txt))) error("b.textHeight(), the parameter has to be a string. Use: b.textHeight(txt)");
+  // empty lines still have the height of the font
+  var str = txt.toString().replace(/\r\n|\n/g, "\r") || "x";
+  return measureText(str, function(textFrame) {
+    var first = textFrame.lines[0];
+    var last = textFrame.lines[-1];
+    return last.baseline - first.baseline + first.ascent + last.descent;
+  });
+};
+
+/**
+ * Returns the ascent of the current font at the current font size in the current units,
+ * which is the height of the font above the baseline.
+ *
+ * @cat Typography
+ * @subcat Metrics
+ * @method textAscent
+ * @return {Number} The ascent of the current font.
+ */
+pub.textAscent = function() {
+  return measureText("x", function(textFrame) {
+    return textFrame.characters[0].ascent;
+  });
+};
+
+/**
+ * Returns the descent of the current font at the current font size in the current units,
+ * which is the depth of the font below the baseline.
+ *
+ * @cat Typography
+ * @subcat Metrics
+ * @method textDescent
+ * @return {Number} The descent of the current font.
+ */
+pub.textDescent = function() {
+  return measureText("x", function(textFrame) {
+    return textFrame.characters[0].descent;
+  });
+};
+
+/**
+ * Returns true if the text of the given text frame or story does not fit, i.e. the text frame has overset text.
+ *
+ * @cat Typography
+ * @subcat Metrics
+ * @method overflows
+ * @param  {TextFrame|Story} item The text frame or story to check.
+ * @return {Boolean}              Whether the text overflows.
+ */
+pub.overflows = function(item) {
+  checkNull(item);
+  if (!(item instanceof TextFrame || item instanceof Story)) error("b.overflows(), wrong type of parameter! Use: textFrame or story");
+  return item.overflows;
+};
+
+/**
+ * Returns true if all the text of the given text frame or story fits, the opposite of b.overflows().
+ * This can be used to find the largest font size for a text frame.
+ *
+ * @cat Typography
+ * @subcat Metrics
+ * @method textFits
+ * @param  {TextFrame|Story} item The text frame or story to check.
+ * @return {Boolean}              Whether the text fits.
+ */
+pub.textFits = function(item) {
+  checkNull(item);
+  if (!(item instanceof TextFrame || item instanceof Story)) error("b.textFits(), wrong type of parameter! Use: textFrame or story");
+  return !item.overflows;
+};
+
 /**
  * Returns the character style with the given name. If the style does not exist it gets created.
+ * If properties are given, they get set to the style. Besides the InDesign character style properties
+ * the following shortcuts can be used:
+ * <code>font</code> The font name, optionally followed by a tab and the font style, like in textFont() <br />
+ * <code>size</code> The font size in points <br />
+ * <code>color</code> The fill color as swatch name or color <br />
+ * <code>basedOn</code> The character style or its name the style is based on <br />
+ * <code>group</code> The name of the style group the style is placed in, nested groups are separated by slashes
  *
  * @cat Typography
  * @method characterStyle
  * @param  {String} name      The name of the character style to return.
+ * @param  {Object} [props]   The properties to set to the style.
  * @return {CharachterStyle}  The character style instance.
  */
-pub.characterStyle = function(name) {
+pub.characterStyle = function(name, props) {
 
   var style = findInStylesByName(currentDoc().allCharacterStyles, name);
   if(!style) {
-    style = currentDoc().characterStyles.add({name: name});
+    style = styleGroup("characterStyleGroups", props).characterStyles.add({name: name});
+  } else if (props && props.group) {
+    style.move(LocationOptions.AT_END, styleGroup("characterStyleGroups", props));
+  }
+  if (props) {
+    setStyleProperties("characterStyle", style, props);
   }
   return style;
 };
 
 /**
  * Returns the paragraph style with the given name. If the style does not exist it gets created.
+ * If properties are given, they get set to the style. Besides the InDesign paragraph style properties
+ * the following shortcuts can be used:
+ * <code>font</code> The font name, optionally followed by a tab and the font style, like in textFont() <br />
+ * <code>size</code> The font size in points <br />
+ * <code>color</code> The fill color as swatch name or color <br />
+ * <code>basedOn</code> The paragraph style or its name the style is based on <br />
+ * <code>nextStyle</code> The paragraph style or its name that follows the style <br />
+ * <code>grepStyles</code> The GREP style rules, see b.grepStyles() <br />
+ * <code>nestedStyles</code> The nested style rules, see b.nestedStyles() <br />
+ * <code>group</code> The name of the style group the style is placed in, nested groups are separated by slashes
  *
  * @cat Typography
  * @method paragraphStyle
  * @param  {String} name     The name of the paragraph style to return.
+ * @param  {Object} [props]  The properties to set to the style, e.g. {font: "Minion Pro\tBold", size: 12, leading: 14}
  * @return {ParagraphStyle}  The paragraph style instance.
  */
-pub.paragraphStyle = function(name) {
+pub.paragraphStyle = function(name, props) {
   var style = findInStylesByName(currentDoc().allParagraphStyles, name);
   if(!style) {
-    style = currentDoc().paragraphStyles.add({name: name});
+    style = styleGroup("paragraphStyleGroups", props).paragraphStyles.add({name: name});
+  } else if (props && props.group) {
+    style.move(LocationOptions.AT_END, styleGroup("paragraphStyleGroups", props));
+  }
+  if (props) {
+    setStyleProperties("paragraphStyle", style, props);
   }
   return style;
 };
 
+/**
+ * Sets the GREP styles of a paragraph style, which apply a character style to all text matching a
+ * regular expression. The rules are given as plain objects, e.g. <code>{grep: "\\d+(st|nd|rd|th)", style: "sup"}</code>,
+ * where the style is a character style or the name of an existing one. Existing GREP styles of the paragraph style get replaced.
+ * If no rules are given, the function acts as a getter and returns the current rules. The rules can also be
+ * set with the <code>grepStyles</code> property in b.paragraphStyle().
+ *
+ * @cat Typography
+ * @method grepStyles
+ * @param  {ParagraphStyle|String} paragraphStyle  The paragraph style or its name.
+ * @param  {Object|Object[]} [rules]  The rule or an array of rules.
+ * @return {Object[]}  The GREP style rules of the paragraph style.
+ */
+pub.grepStyles = function(paragraphStyle, rules) {
+  var style = isString(paragraphStyle) ? pub.paragraphStyle(paragraphStyle) : paragraphStyle;
+  checkNull(style);
+  if (arguments.length > 1) {
+    rules = isArray(rules) ? rules : [rules];
+    // validate all rules before the existing ones are replaced
+    var grepProps = [];
+    for (var i = 0; i < rules.length; i++) {
+      if (!rules[i] || !isString(rules[i].grep) || !rules[i].style) {
+        error("b.grepStyles(), wrong rule. Use: {grep: expression, style: characterStyle}");
+      }
+      grepProps.push({
+        grepExpression: rules[i].grep,
+        appliedCharacterStyle: ruleCharacterStyle("grepStyles", rules[i].style)
+      });
+    }
+    for (var k = style.nestedGrepStyles.length - 1; k >= 0; k--) {
+      style.nestedGrepStyles.item(k).remove();
+    }
+    for (i = 0; i < grepProps.length; i++) {
+      style.nestedGrepStyles.add(grepProps[i]);
+    }
+  }
+  var result = [];
+  for (var j = 0; j < style.nestedGrepStyles.length; j++) {
+    var grepStyle = style.nestedGrepStyles.item(j);
+    result.push({grep: grepStyle.grepExpression, style: grepStyle.appliedCharacterStyle.name});
+  }
+  return result;
+};
+
+/**
+ * Sets the nested styles of a paragraph style, which apply character styles to the beginning of paragraphs
+ * one after another, e.g. a drop cap followed by a bold lead-in up to the first period. The rules are given
+ * as plain objects with the following properties:
+ * <code>style</code> The character style or the name of an existing one <br />
+ * <code>delimiter</code> The character that ends the rule, e.g. ".", or one of the InDesign NestedStyleDelimiters
+ * enum values, e.g. NestedStyleDelimiters.DROPCAP or NestedStyleDelimiters.ANY_WORD <br />
+ * <code>repetition</code> How often the delimiter occurs until the rule ends, defaults to 1 <br />
+ * <code>inclusive</code> Whether the delimiter gets the style too, defaults to true
+ *
+ * Existing nested styles of the paragraph style get replaced. If no rules are given, the function acts as a
+ * getter and returns the current rules. The rules can also be set with the <code>nestedStyles</code> property
+ * in b.paragraphStyle().
+ *
+ * @cat Typography
+ * @method nestedStyles
+ * @param  {ParagraphStyle|String} paragraphStyle  The paragraph style or its name.
+ * @param  {Object|Object[]} [rules]  The rule or an array of rules, e.g.
+ *                                    [{style: "cap", delimiter: NestedStyleDelimiters.DROPCAP}, {style: "bold", delimiter: "."}]
+ * @return {Object[]}  The nested style rules of the paragraph style.
+ */
+pub.nestedStyles = function(paragraphStyle, rules) {
+  var style = isString(paragraphStyle) ? pub.paragraphStyle(paragraphStyle) : paragraphStyle;
+  checkNull(style);
+  if (arguments.length > 1) {
+    rules = isArray(rules) ? rules : [rules];
+    // validate all rules before the existing ones are replaced
+    var nestedProps = [];
+    for (var i = 0; i < rules.length; i++) {
+      if (!rules[i] || !rules[i].style || !rules[i].delimiter) {
+        error("b.nestedStyles(), wrong rule. Use: {style: characterStyle, delimiter: delimiter, [repetition], [inclusive]}");
+      }
+      nestedProps.push({
+        appliedCharacterStyle: ruleCharacterStyle("nestedStyles", rules[i].style),
+        delimiter: rules[i].delimiter,
+        repetition: isNumber(rules[i].repetition) ? rules[i].repetition : 1,
+        inclusive: rules[i].inclusive !== false
+      });
+    }
+    for (var k = style.nestedStyles.length - 1; k >= 0; k--) {
+      style.nestedStyles.item(k).remove();
+    }
+    for (i = 0; i < nestedProps.length; i++) {
+      style.nestedStyles.add(nestedProps[i]);
+    }
+  }
+  var result = [];
+  for (var j = 0; j < style.nestedStyles.length; j++) {
+    var nestedStyle = style.nestedStyles.item(j);
+    result.push({
+      style: nestedStyle.appliedCharacterStyle.name,
+      delimiter: nestedStyle.delimiter,
+      repetition: nestedStyle.repetition,
+      inclusive: nestedStyle.inclusive
+    });
+  }
+  return result;
+};
+
+/**
+ * Applies a paragraph, character or object style to the given text or item. The text can be any text
+ * returned by e.g. b.paragraphs(), b.words() or b.characters() or a collection of them. For text frames
+ * and stories the style gets applied to all their text. Overrides of the text or item get cleared,
+ * so the style is visible also on text created by b.text().
+ *
+ * @cat Typography
+ * @method applyStyle
+ * @param  {Text|TextFrame|Story|PageItem|Array} item  The text or item to apply the style to.
+ * @param  {ParagraphStyle|CharacterStyle|ObjectStyle|String} style  The style or the name of a paragraph or character style.
+ * @param  {Boolean} [keepOverrides]  If true, overrides are kept, defaults to false.
+ * @return {Text|TextFrame|Story|PageItem|Array}  The given text or item.
+ */
+pub.applyStyle = function(item, style, keepOverrides) {
+  checkNull(item);
+  checkNull(style);
+  if (isString(style)) {
+    var name = style;
+    style = findInStylesByName(currentDoc().allParagraphStyles, name) ||
+            findInStylesByName(currentDoc().allCharacterStyles, name);
+    if (!style) {
+      error("b.applyStyle(), there is no paragraph or character style named \"" + name + "\".");
+    }
+  }
+
+  if (isArray(item) || typeof item.everyItem === "function") {
+    forEach(item, function(element) {
+      pub.applyStyle(element, style, keepOverrides);
+    });
+    return item;
+  }
+
+  var text = item instanceof TextFrame || item instanceof Story ? item.texts.item(0) : item;
+  if (style instanceof ParagraphStyle && isText(text)) {
+    text.applyParagraphStyle(style, !keepOverrides);
+  } else if (style instanceof CharacterStyle && isText(text)) {
+    if (!keepOverrides) {
+      text.clearOverrides(OverrideType.CHARACTER_ONLY);
+    }
+    text.applyCharacterStyle(style);
+  } else if (style instanceof ObjectStyle && item.hasOwnProperty("appliedObjectStyle")) {
+    item.applyObjectStyle(style, !keepOverrides);
+  } else {
+    error("b.applyStyle(), the style " + style + " cannot be applied to " + item + ". Use: text or item, style");
+  }
+  return item;
+};
+
 /**
  * Links the stories of two textframes to one story. Text of first textframe overflows to second one.
  *
@@ -310,4 +668,101 @@ pub.placeholder = function (textFrame) {
   } else {
     error("placeholder(), wrong type of parameter! Use: textFrame");
   }
-};
\ No newline at end of file
+};
+
+// ----------------------------------------
+// all private from here
+
+var textPathEffects = {
+  rainbow: PathTypeEffects.RAINBOW_PATH_EFFECT,
+  skew: PathTypeEffects.SKEW_PATH_EFFECT,
+  ribbon: PathTypeEffects.RIBBON_PATH_EFFECT,
+  stair_step: PathTypeEffects.STAIR_STEP_PATH_EFFECT,
+  gravity: PathTypeEffects.GRAVITY_PATH_EFFECT
+};
+
+// returns the (nested) style group given in the properties, missing groups get created
+var styleGroup = function(groupsCollection, props) {
+  var container = currentDoc();
+  if (!props || !props.group) {
+    return container;
+  }
+  var names = props.group.split("/");
+  for (var i = 0; i < names.length; i++) {
+    var group = container[groupsCollection].itemByName(names[i]);
+    if (!group.isValid) {
+      group = container[groupsCollection].add({name: names[i]});
+    }
+    container = group;
+  }
+  return container;
+};
+
+var setStyleProperties = function(name, style, props) {
+  var properties = {};
+  for (var key in props) {
+    if (!props.hasOwnProperty(key) || key === "group") {
+      continue;
+    }
+    var value = props[key];
+    if (key === "font") {
+      var font = value instanceof Font ? [value.fontFamily, value.fontStyleName] : value.split("\t");
+      properties.appliedFont = font[0];
+      if (font.length > 1) {
+        properties.fontStyle = font[1];
+      }
+    } else if (key === "size") {
+      properties.pointSize = value;
+    } else if (key === "color") {
+      properties.fillColor = isString(value) ? pub.color(value) : value;
+    } else if (key === "grepStyles" || key === "nestedStyles") {
+      if (name !== "paragraphStyle") {
+        error("b." + name + "(), " + key + " can only be set to paragraph styles.");
+      }
+      pub[key](style, value);
+    } else if (key === "basedOn" || key === "nextStyle") {
+      if (key === "nextStyle" && name !== "paragraphStyle") {
+        error("b." + name + "(), nextStyle can only be set to paragraph styles.");
+      }
+      properties[key] = isString(value) ? pub[name](value) : value;
+    } else {
+      properties[key] = value;
+    }
+  }
+  style.properties = properties;
+};
+
+// the character style of a GREP or nested style rule, names have to refer to existing character styles
+var ruleCharacterStyle = function(name, style) {
+  if (!isString(style)) {
+    return style;
+  }
+  var characterStyle = findInStylesByName(currentDoc().allCharacterStyles, style);
+  if (!characterStyle) {
+    error("b." + name + "(), there is no character style named \"" + style + "\". Create it with b.characterStyle() first.");
+  }
+  return characterStyle;
+};
+
+// sets text in a temporary text frame with the current text settings and removes it after measuring,
+// the frame is placed on a temporary layer, as the current layer might be locked or hidden
+var measureText = function(txt, measure) {
+  var layer = currentDoc().layers.add({locked: false, visible: true});
+  try {
+    var textFrame = currentPage().textFrames.add(layer);
+    var width = new UnitValue(5000, "pt").as(currUnits);
+    textFrame.geometricBounds = [0, 0, width, width];
+    textFrame.contents = txt;
+    pub.typo(textFrame, {
+      appliedFont: currFont,
+      pointSize: currFontSize,
+      justification: Justification.LEFT_ALIGN,
+      leading: currLeading,
+      kerningValue: currKerning,
+      tracking: currTracking
+    });
+    return measure(textFrame);
+  } finally {
+    layer.remove();
+  }
+};
@@ -16,6 +16,8 @@ b.test('ColorTests', {
   },
 
   tearDown: function(b) {
+    b.colorMode(b.RGB);
+    b.colorType(b.PROCESS);
     b.close(SaveOptions.no); 
   },
 
@@ -76,6 +78,383 @@ b.test('ColorTests', {
     assert(magenta.colorValue[3] === 4);
   },
 
+  testCreateHSBColor: function(b) {
+    var doc = b.doc();
+    b.colorMode(b.HSB);
+    var red = b.color(0,100,100);
+    var blue = b.color(240,100,100,"hsb blue");
+    var hsbGrey = b.color(50);
+
+    assert(red instanceof Color);
+    assert(blue instanceof Color);
+    assert(hsbGrey instanceof Color);
+
+    assert(red.name === "H=0 S=100 B=100");
+    assert(b.color("hsb blue") === blue);
+
+    if (red.space === ColorSpace.RGB) {
+      assert(red.colorValue.toString() === "255,0,0");
+      assert(blue.colorValue.toString() === "0,0,255");
+      assert(hsbGrey.colorValue.toString() === "128,128,128");
+    } else {
+      assert(red.space === ColorSpace.CMYK);
+      assert(red.colorValue.toString() === "0,100,100,0");
+      assert(blue.colorValue.toString() === "100,100,0,0");
+      assert(hsbGrey.colorValue.toString() === "0,0,0,50");
+    }
+  },
+
+  testCreateHSLColor: function(b) {
+    var doc = b.doc();
+    b.colorMode(b.HSL);
+    var green = b.color(120,100,50);
+    var white = b.color(0,0,100,"hsl white");
+
+    assert(green instanceof Color);
+    assert(white instanceof Color);
+
+    assert(green.name === "H=120 S=100 L=50");
+    assert(b.color("hsl white") === white);
+
+    if (green.space === ColorSpace.RGB) {
+      assert(green.colorValue.toString() === "0,255,0");
+      assert(white.colorValue.toString() === "255,255,255");
+    } else {
+      assert(green.colorValue.toString() === "100,0,100,0");
+      assert(white.colorValue.toString() === "0,0,0,0");
+    }
+  },
+
+  testLerpColorInHSBMode: function(b) {
+    var doc = b.doc();
+    b.colorMode(b.RGB);
+    var black = b.color(0,0,0);
+    var white = b.color(255,255,255);
+    b.colorMode(b.HSB);
+    var grey = b.lerpColor(black, white, 0.5);
+
+    assert(grey.space === ColorSpace.RGB);
+    assert(grey.colorValue.toString() === "128,128,128");
+  },
+
+  testCreateColorFromString: function(b) {
+    var doc = b.doc();
+    var hex = b.color("#ff8800");
+    var shortHex = b.color("#F80");
+    var rgb = b.color("rgb(255, 136, 0)");
+    var hsl = b.color("hsl(32,100%,50%)");
+    var cmyk = b.color("cmyk(0,50,100,0)");
+    var named = b.color("orange");
+    var withName = b.color("#336699", "data blue");
+
+    assert(hex instanceof Color);
+    assert(hex.space === ColorSpace.RGB);
+    assert(hex.colorValue.toString() === "255,136,0");
+    assert(shortHex === hex);
+    assert(rgb === hex);
+    assert(hsl === hex);
+
+    assert(cmyk.space === ColorSpace.CMYK);
+    assert(cmyk.colorValue.toString() === "0,50,100,0");
+
+    assert(named.space === ColorSpace.RGB);
+    assert(named.colorValue.toString() === "255,165,0");
+
+    assert(b.color("data blue") === withName);
+    assert(withName.colorValue.toString() === "51,102,153");
+
+    var percent = b.color("rgb(100%, 0%, 50%)");
+    assert(percent.colorValue.toString() === "255,0,128");
+  },
+
+  testColorStringFallsBackToSwatch: function(b) {
+    var doc = b.doc();
+    b.colorMode(b.CMYK);
+    var custom = b.color(0,0,0,100,"orange");
+
+    assert(b.color("orange") === custom);
+    assert(b.color("Black").space === ColorSpace.CMYK);
+  },
+
+  testLerpColor: function(b) {
+    var doc = b.doc();
+    b.colorMode(b.RGB);
+    var red = b.color(255,0,0);
+    var blue = b.color(0,0,255);
+    b.colorMode(b.CMYK);
+    var yellow = b.color(0,0,100,0);
+
+    var rgbMix = b.lerpColor(red, blue, 0.5);
+    assert(rgbMix.space === ColorSpace.RGB);
+    assert(rgbMix.colorValue.toString() === "128,0,128");
+
+    var hsbMix = b.lerpColor(red, blue, 0.5, b.HSB);
+    assert(hsbMix.space === ColorSpace.RGB);
+    assert(hsbMix.colorValue.toString() === "255,0,255");
+
+    var labMix = b.lerpColor(red, blue, 0.5, b.LAB);
+    assert(labMix.space === ColorSpace.RGB);
+    assert(labMix !== rgbMix);
+
+    var mixedSpaces = b.lerpColor(yellow, red, 0.5);
+    assert(mixedSpaces.space === ColorSpace.CMYK);
+    assert(mixedSpaces.colorValue.toString() === "0,50,100,0");
+
+    assert(b.lerpColor(red, blue, 0) === red);
+    assert(b.lerpColor(red, blue, 1) === blue);
+  },
+
+  testPalette: function(b) {
+    var doc = b.doc();
+    b.colorMode(b.RGB);
+    var red = b.color(255,0,0);
+
+    var complementary = b.palette(red, b.COMPLEMENTARY);
+    assert(complementary.length === 2);
+    assert(complementary[0] === red);
+    assert(complementary[1].colorValue.toString() === "0,255,255");
+
+    var triadic = b.palette(red, b.TRIADIC);
+    assert(triadic.length === 3);
+    assert(triadic[1].colorValue.toString() === "0,255,0");
+    assert(triadic[2].colorValue.toString() === "0,0,255");
+
+    var split = b.palette(red, b.SPLIT_COMPLEMENTARY);
+    assert(split.length === 3);
+    assert(split[1].colorValue.toString() === "0,255,128");
+
+    var analogous = b.palette(red, b.ANALOGOUS, 5);
+    assert(analogous.length === 5);
+    assert(analogous[2] === red);
+
+    var evenAnalogous = b.palette(red, b.ANALOGOUS, 4);
+    assert(evenAnalogous.length === 4);
+    assert(evenAnalogous[1] === red);
+
+    var tints = b.palette(red, b.TINTS, 4);
+    assert(tints.length === 4);
+    assert(tints[0] === red);
+    assert(tints[2].colorValue.toString() === "255,128,128");
+
+    var shades = b.palette(red, b.SHADES, 4);
+    assert(shades.length === 4);
+    assert(shades[2].colorValue.toString() === "128,0,0");
+
+    var grouped = b.palette(red, b.TRIADIC, "triad");
+    assert(grouped.length === 3);
+    if (doc.hasOwnProperty("colorGroups")) {
+      assert(doc.colorGroups.itemByName("triad").isValid);
+    }
+    assert(b.gradient(grouped) instanceof Gradient);
+  },
+
+  testSaveAndLoadSwatches: function(b) {
+    var doc = b.doc();
+    var file = new File(Folder.temp + "/basil-swatches-test.ase");
+    b.colorMode(b.RGB);
+    var orange = b.color(255,136,0,"ase orange");
+    b.colorMode(b.CMYK);
+    var blue = b.color(100,50,0,0,"ase blue");
+
+    b.saveSwatches(file, [orange, blue]);
+    assert(file.exists);
+
+    orange.remove();
+    blue.remove();
+    var loaded = b.loadSwatches(file);
+    file.remove();
+
+    assert(loaded.length === 2);
+    assert(loaded[0] === b.color("ase orange"));
+    assert(loaded[0].space === ColorSpace.RGB);
+    assert(loaded[0].colorValue.toString() === "255,136,0");
+    assert(loaded[1].space === ColorSpace.CMYK);
+    assert(loaded[1].colorValue.toString() === "100,50,0,0");
+  },
+
+  testCreateSpotColor: function(b) {
+    var doc = b.doc();
+    b.colorMode(b.CMYK);
+    b.colorType(b.SPOT);
+    var spot = b.color(0,24,94,0,"PANTONE 123 C");
+    b.colorType(b.PROCESS);
+    var process = b.color(0,24,94,0);
+
+    assert(b.colorType() === b.PROCESS);
+    assert(spot.model === ColorModel.SPOT);
+    assert(spot.colorValue.toString() === "0,24,94,0");
+    assert(process.model === ColorModel.PROCESS);
+    assert(b.color("PANTONE 123 C") === spot);
+    assert(doc.inks.itemByName("PANTONE 123 C").isValid);
+  },
+
+  testCreateTintAndMixedInk: function(b) {
+    var doc = b.doc();
+    b.colorMode(b.CMYK);
+    b.colorType(b.SPOT);
+    var spot = b.color(0,24,94,0,"PANTONE 123 C");
+
+    var tint = b.tint(spot, 40);
+    assert(tint instanceof Tint);
+    assert(tint.tintValue === 40);
+    assert(b.tint("PANTONE 123 C", 40) === tint);
+
+    b.fill(tint);
+    var tinted = b.rect(0,0,100,100);
+    assert(tinted.fillColor === tint);
+
+    var mixed = b.mixedInk([spot, "Process Black"], [80, 20], "spot plus black");
+    assert(mixed instanceof MixedInk);
+    assert(b.mixedInk("spot plus black") === mixed);
+
+    var unnamedSpot = b.color(10,20,30,40);
+    b.colorType(b.PROCESS);
+    var unnamedProcess = b.color(10,20,30,40);
+    assert(unnamedSpot.model === ColorModel.SPOT);
+    assert(unnamedProcess.model === ColorModel.PROCESS);
+    assert(unnamedSpot.name !== unnamedProcess.name);
+  },
+
+  testCreateLabColor: function(b) {
+    var doc = b.doc();
+    b.colorMode(b.LAB);
+
+    var lab = b.color(54, 81, 70, "lab red");
+    assert(lab.space === ColorSpace.LAB);
+    assert(lab.colorValue.toString() === "54,81,70");
+
+    var grey = b.color(50);
+    assert(grey.space === ColorSpace.LAB);
+    assert(grey.colorValue.toString() === "50,0,0");
+
+    b.colorMode(b.RGB);
+    var red = b.color(255, 0, 0);
+    var labOfRed = b.toLab(red);
+    assert(Math.round(labOfRed[0]) === 54);
+    assert(Math.round(labOfRed[1]) === 81);
+    assert(Math.round(labOfRed[2]) === 70);
+
+    var fromLab = b.fromLab(labOfRed);
+    assert(fromLab.space === ColorSpace.RGB);
+    assert(fromLab.colorValue.toString() === "255,0,0");
+  },
+
+  testColorDistance: function(b) {
+    var doc = b.doc();
+    var red = b.color(255, 0, 0);
+    var almostRed = b.color(254, 0, 0);
+    var blue = b.color(0, 0, 255);
+
+    assert(b.colorDistance(red, red) === 0);
+    assert(b.colorDistance(red, almostRed) < 1);
+    assert(b.colorDistance(red, blue) > 10);
+    assert(b.colorDistance(red, blue) === b.colorDistance(blue, red));
+    // reference pair from the CIEDE2000 test data by Sharma et al.
+    assert(Math.round(b.colorDistance([50, 2.5, 0], [56, -27, -3]) * 1000) === 31903);
+  },
+
+  testContrast: function(b) {
+    var doc = b.doc();
+    var black = b.color(0, 0, 0);
+    var white = b.color(255, 255, 255);
+    var grey = b.color(119, 119, 119);
+
+    assert(Math.round(b.contrast(black, white)) === 21);
+    assert(b.contrast(white, black) === b.contrast(black, white));
+    assert(b.contrast(grey, grey) === 1);
+    assert(b.contrast(grey, white) < 4.5);
+    assert(b.contrast(b.tint(black, 0), white) === 1);
+  },
+
+  testCheckContrast: function(b) {
+    var doc = b.doc();
+    b.fill(b.color(0, 0, 0));
+    var dark = b.text("dark", 0, 0, 100, 50);
+
+    b.fill(b.color(230, 230, 230));
+    var light = b.text("light", 0, 100, 100, 50);
+    var results = b.checkContrast(doc);
+    assert(results.length === 1);
+    assert(results[0].textFrame === light);
+
+    // on a dark background the dark text fails instead
+    b.fill(b.color(30, 30, 30));
+    var background = b.rect(0, 0, 200, 200);
+    background.sendToBack();
+    results = b.checkContrast(doc);
+    assert(results.length === 1);
+    assert(results[0].textFrame === dark);
+    assert(results[0].background === background.fillColor);
+    assert(results[0].ratio < 4.5);
+    assert(results[0].minRatio === 4.5);
+
+    assert(b.checkContrast(doc, 1).length === 0);
+  },
+
+  testGradientTransform: function(b) {
+    var doc = b.doc();
+    b.units(b.PT);
+    var grad = b.gradient(b.color(255, 0, 0), b.color(0, 0, 255), "red to blue");
+    b.fill(grad);
+    var rect = b.rect(0, 0, 100, 100);
+
+    assert(b.gradientTransform(rect, 10, 20, b.HALF_PI, 50) === rect);
+    assert(rect.gradientFillStart.toString() === "10,20");
+    assert(Math.round(rect.gradientFillAngle) === -90);
+    assert(Math.round(rect.gradientFillLength) === 50);
+
+    b.translate(10, 10);
+    b.scale(2);
+    b.gradientTransform(rect, 10, 20, 0, 50);
+    assert(rect.gradientFillStart.toString() === "30,50");
+    assert(Math.round(rect.gradientFillAngle) === 0);
+    assert(Math.round(rect.gradientFillLength) === 100);
+    b.resetMatrix();
+
+    var stringAngle = false;
+    try {
+      b.gradientTransform(rect, 10, 20, "90");
+    } catch (exp) {
+      stringAngle = true;
+    }
+    assert(stringAngle);
+  },
+
+  testEffects: function(b) {
+    var doc = b.doc();
+    var rect = b.rect(0, 0, 100, 100);
+    assert(b.dropShadow(rect).applied === false);
+
+    var shadow = b.dropShadow(rect, {color: "Black", opacity: 50, distance: 5, size: 3});
+    assert(shadow.applied === true);
+    assert(shadow.opacity === 50);
+    assert(shadow.color === b.color("Black"));
+    assert(rect.transparencySettings.dropShadowSettings.mode === ShadowMode.DROP);
+
+    b.feather(rect, {width: 4});
+    assert(rect.transparencySettings.featherSettings.mode === FeatherMode.STANDARD);
+    b.gradientFeather(rect, {type: GradientType.RADIAL});
+    assert(rect.transparencySettings.gradientFeatherSettings.applied === true);
+
+    var effects = b.effects(rect);
+    assert(effects.dropShadow.distance === 5);
+    assert(effects.feather.width === 4);
+    assert(effects.gradientFeather.type === GradientType.RADIAL);
+    assert(typeof effects.outerGlow === "undefined");
+
+    assert(b.dropShadow(rect, false).applied === false);
+    assert(typeof b.effects(rect).dropShadow === "undefined");
+
+    var unknownOption = false;
+    try {
+      b.outerGlow(rect, {distance: 5});
+    } catch (exp) {
+      unknownOption = true;
+    }
+    assert(unknownOption);
+    assert(b.outerGlow(rect).applied === false);
+  },
+
   testIsColorAddedToSwatches: function(b) {
     var doc = b.doc();
     b.colorMode(b.RGB);
@@ -111,6 +111,195 @@ b.test('TypographyTests', {
     forEach(currSize, function(s) {
       assert(s === size);
     });
+  },
+
+  testTextPath: function(b) {
+    b.doc(doc);
+    b.page(0);
+    b.layer(layer);
+    b.textSize(14);
+    var circle = b.ellipse(150, 150, 200, 200);
+    var textPath = b.textPath('around the circle', circle, {effect: b.SKEW, flip: true, start: 10});
+
+    assert(circle.textPaths.length === 1);
+    assert(textPath.contents === 'around the circle');
+    assert(textPath.pathEffect === PathTypeEffects.SKEW_PATH_EFFECT);
+    assert(textPath.flipPathEffect === FlipValues.FLIPPED);
+    assert(Math.round(textPath.startBracket) === 10);
+    assert(textPath.parentStory.pointSize === 14);
+
+    var line = b.line(0, 0, 200, 0);
+    textPath = b.textPath('caption', line, {align: Justification.CENTER_ALIGN, end: 50});
+    assert(textPath.parentStory.justification === Justification.CENTER_ALIGN);
+    assert(Math.round(textPath.endBracket) === 150);
+
+    var error = false;
+    try {
+      b.textPath('foo', line, {effect: 'wave'});
+    } catch (e) {
+      error = true;
+    }
+    assert(error);
+
+    var missingText = false;
+    try {
+      b.textPath(null, line);
+    } catch (e) {
+      missingText = true;
+    }
+    assert(missingText);
+  },
+
+  testStylesWithProperties: function(b) {
+    b.doc(doc);
+    b.page(0);
+    b.layer(layer);
+
+    var body = b.paragraphStyle('body', {size: 10, leading: 13, spaceBefore: 2});
+    assert(body.pointSize === 10);
+    assert(body.leading === 13);
+    assert(b.paragraphStyle('body').id === body.id);
+
+    var heading = b.paragraphStyle('heading', {basedOn: 'body', nextStyle: body, size: 18, group: 'Headings/Main'});
+    assert(heading.basedOn.id === body.id);
+    assert(heading.nextStyle.id === body.id);
+    assert(heading.pointSize === 18);
+    assert(heading.parent.name === 'Main');
+    assert(heading.parent.parent.name === 'Headings');
+
+    b.paragraphStyle('body', {size: 11});
+    assert(body.pointSize === 11);
+
+    var em = b.characterStyle('emphasis', {color: 'Black', group: 'Inline'});
+    assert(em.fillColor.name === 'Black');
+    assert(em.parent.name === 'Inline');
+
+    var error = false;
+    try {
+      b.characterStyle('broken', {nextStyle: 'body'});
+    } catch (e) {
+      error = true;
+    }
+    assert(error);
+  },
+
+  testApplyStyle: function(b) {
+    b.doc(doc);
+    b.page(0);
+    b.layer(layer);
+    var textFrame = b.text('first paragraph\rsecond paragraph', 0, 0, 300, 300);
+    var heading = b.paragraphStyle('applied heading', {size: 20});
+    var em = b.characterStyle('applied emphasis', {size: 8});
+
+    b.applyStyle(b.paragraphs(textFrame)[0], heading);
+    assert(textFrame.paragraphs[0].appliedParagraphStyle.id === heading.id);
+    assert(textFrame.paragraphs[0].pointSize === 20);
+    assert(textFrame.paragraphs[1].appliedParagraphStyle.id !== heading.id);
+
+    b.applyStyle(b.words(textFrame.paragraphs[1]), 'applied emphasis');
+    assert(textFrame.paragraphs[1].words[0].appliedCharacterStyle.id === em.id);
+    assert(textFrame.paragraphs[1].words[1].pointSize === 8);
+
+    b.applyStyle(textFrame, heading);
+    assert(textFrame.paragraphs[1].appliedParagraphStyle.id === heading.id);
+
+    var error = false;
+    try {
+      b.applyStyle(textFrame, 'missing style');
+    } catch (e) {
+      error = true;
+    }
+    assert(error);
+  },
+
+  testGrepAndNestedStyles: function(b) {
+    b.doc(doc);
+    b.page(0);
+    b.layer(layer);
+    b.characterStyle('sup', {position: Position.SUPERSCRIPT});
+    b.characterStyle('lead', {size: 14});
+
+    var style = b.paragraphStyle('ordinals', {
+      grepStyles: {grep: '\\d+(st|nd|rd|th)', style: 'sup'},
+      nestedStyles: [{style: 'lead', delimiter: '.'}]
+    });
+    var grepRules = b.grepStyles(style);
+    assert(grepRules.length === 1);
+    assert(grepRules[0].grep === '\\d+(st|nd|rd|th)');
+    assert(grepRules[0].style === 'sup');
+
+    var nestedRules = b.nestedStyles('ordinals');
+    assert(nestedRules.length === 1);
+    assert(nestedRules[0].style === 'lead');
+    assert(nestedRules[0].repetition === 1);
+    assert(nestedRules[0].inclusive === true);
+
+    b.nestedStyles(style, [
+      {style: 'lead', delimiter: NestedStyleDelimiters.DROPCAP},
+      {style: 'sup', delimiter: NestedStyleDelimiters.ANY_WORD, repetition: 2, inclusive: false}
+    ]);
+    assert(style.nestedStyles.length === 2);
+    assert(style.nestedStyles[1].repetition === 2);
+
+    var error = false;
+    try {
+      b.grepStyles(style, {grep: 'no style'});
+    } catch (e) {
+      error = true;
+    }
+    assert(error);
+    assert(b.grepStyles(style).length === 1); // the rules are kept after an error
+
+    var unknownStyle = false;
+    try {
+      b.nestedStyles(style, {style: 'no such style', delimiter: '.'});
+    } catch (e) {
+      unknownStyle = true;
+    }
+    assert(unknownStyle);
+    assert(style.nestedStyles.length === 2);
+    assert(!doc.characterStyles.itemByName('no such style').isValid);
+  },
+
+  testTextMetrics: function(b) {
+    b.doc(doc);
+    b.page(0);
+    b.layer(layer);
+    var frames = layer.textFrames.length;
+
+    b.textSize(12);
+    var width = b.textWidth('measure me');
+    assert(width > 0);
+    assert(b.textWidth('measure me twice') > width);
+    assert(b.textWidth('measure me\rme') === width);
+    b.textSize(24);
+    assert(Math.round(b.textWidth('measure me')) === Math.round(width * 2));
+
+    assert(b.textAscent() > 0);
+    assert(b.textDescent() > 0);
+    assert(b.textAscent() > b.textDescent());
+    assert(layer.textFrames.length === frames); // no measuring frames are left
+
+    var leading = b.textLeading();
+    b.textLeading(30);
+    var lineHeight = b.textHeight('one line');
+    assert(Math.round(lineHeight) === Math.round(b.textAscent() + b.textDescent()));
+    assert(Math.round(b.textHeight('two\rlines')) === Math.round(lineHeight + 30));
+    b.textLeading(leading);
+
+    var layers = doc.layers.length;
+    layer.locked = true;
+    assert(b.textWidth('locked') > 0);
+    layer.locked = false;
+    assert(doc.layers.length === layers); // the temporary layer is removed
+
+    b.textSize(12);
+    var textFrame = b.text(b.LOREM, 0, 0, 50, 20);
+    assert(b.overflows(textFrame));
+    assert(!b.textFits(textFrame));
+    textFrame.geometricBounds = [0, 0, 500, 500];
+    assert(!b.overflows(textFrame));
+    assert(b.textFits(textFrame.parentStory));
   }
 });
 
@@ -82,6 +82,414 @@ b.test('VertexTests', {
     assert(shape instanceof GraphicLine);
     assert(shape.paths.item(0).entirePath.length === 8); // because of overlapping points bug
 
+  },
+
+  testCurveVertex: function(b) {
+
+    b.beginShape();
+    b.curveVertex(0,0);
+    b.curveVertex(10,0);
+    b.curveVertex(20,10);
+    b.curveVertex(30,0);
+    b.curveVertex(40,0);
+    var shape = b.endShape();
+
+    var path = shape.paths.item(0).entirePath;
+    assert(path.length === 3); // the first and last curve vertex are guide points
+    assert(path[0][1].toString() === "10,0");
+    assert(path[0][0].toString() === "10,0");
+    assert(path[1][1].toString() === "20,10");
+    assert(Math.round(path[1][0][0] * 3) === 50 && path[1][0][1] === 10);
+    assert(path[2][2].toString() === "30,0");
+
+    assert(b.curveTightness() === 0);
+    b.curveTightness(1);
+    b.beginShape();
+    b.vertex(0,0);
+    b.curveVertex(0,0);
+    b.curveVertex(10,0);
+    b.curveVertex(20,10);
+    b.curveVertex(30,0);
+    var shape = b.endShape();
+    b.curveTightness(0);
+
+    var path = shape.paths.item(0).entirePath;
+    assert(path.length === 3);
+    assert(path[2][0].toString() === "20,10"); // tightness 1 draws straight lines
+  },
+
+  testBezierVertex: function(b) {
+
+    b.beginShape();
+    b.vertex(0,0);
+    b.bezierVertex(10,0, 20,10, 20,20);
+    b.quadraticVertex(20,40, 0,40);
+    var shape = b.endShape();
+
+    var path = shape.paths.item(0).entirePath;
+    assert(path.length === 3);
+    assert(path[0][2].toString() === "10,0");
+    assert(path[1][0].toString() === "20,10");
+    assert(path[1][1].toString() === "20,20");
+    assert(Math.round(path[1][2][1] * 3) === 100); // 20 + 2/3 * (40 - 20)
+    assert(path[2][1].toString() === "0,40");
+
+    var missingStart = false;
+    b.beginShape();
+    try {
+      b.bezierVertex(10,0, 20,10, 20,20);
+    } catch (exp) {
+      missingStart = true;
+    }
+    assert(missingStart);
+  },
+
+  testContour: function(b) {
+
+    b.beginShape(b.CLOSE);
+    b.vertex(0,0);
+    b.vertex(100,0);
+    b.vertex(100,100);
+    b.vertex(0,100);
+    b.beginContour();
+    b.vertex(25,25);
+    b.vertex(75,25);
+    b.vertex(75,75);
+    b.vertex(25,75);
+    b.endContour();
+    var shape = b.endShape();
+
+    assert(shape instanceof Polygon);
+    assert(shape.paths.length === 2);
+    var hole = shape.paths.item(1).entirePath;
+    // drawn in the same direction as the outer path, so the hole got reversed
+    assert(hole[0].toString() === "25,75");
+    assert(hole[3].toString() === "25,25");
+
+    var unclosedContour = false;
+    b.beginShape(b.CLOSE);
+    b.vertex(0,0);
+    b.vertex(100,0);
+    b.vertex(100,100);
+    b.beginContour();
+    b.vertex(25,25);
+    try {
+      b.endShape();
+    } catch (exp) {
+      unclosedContour = true;
+    }
+    assert(unclosedContour);
+  },
+
+  testPrimitiveShapes: function(b) {
+
+    var triangle = b.triangle(0,0, 100,0, 50,50);
+    assert(triangle instanceof Polygon);
+    assert(triangle.paths.item(0).entirePath.length === 3);
+
+    var quad = b.quad(0,0, 100,0, 80,50, 10,60);
+    assert(quad.paths.item(0).entirePath.length === 4);
+
+    var hexagon = b.polygon(100,100, 50, 6);
+    var path = hexagon.paths.item(0).entirePath;
+    assert(path.length === 6);
+    assert(b.round(path[0][0]) === 100 && b.round(path[0][1]) === 50); // first corner points up
+
+    var star = b.star(100,100, 50, 20, 5);
+    var path = star.paths.item(0).entirePath;
+    assert(path.length === 10);
+    assert(b.round(b.dist(100, 100, path[1][0], path[1][1])) === 20);
+
+    b.ellipseMode(b.CORNER);
+    var cornerPolygon = b.polygon(0,0, 50, 4);
+    assert(b.round(cornerPolygon.paths.item(0).entirePath[0][0]) === 50);
+    b.ellipseMode(b.CORNERS);
+    var cornersPolygon = b.polygon(0,0, 50, 4);
+    assert(b.round(cornersPolygon.paths.item(0).entirePath[0][0]) === 50);
+    b.ellipseMode(b.RADIUS);
+    var radiusPolygon = b.polygon(100,100, 50, 4);
+    assert(b.round(radiusPolygon.paths.item(0).entirePath[0][1]) === 50);
+    b.ellipseMode(b.CENTER);
+
+    // primitives drawn while recording a shape don't change the recorded shape
+    b.beginShape(b.CLOSE);
+    b.vertex(0, 0);
+    b.vertex(100, 0);
+    b.triangle(0,0, 10,0, 5,5);
+    b.star(50,50, 20, 10, 5);
+    b.vertex(100, 100);
+    var recorded = b.endShape();
+    assert(recorded.paths.item(0).entirePath.length === 3);
+
+    b.strokeWeight(4);
+    var point = b.point(10,10);
+    assert(point instanceof Oval);
+    assert(point.geometricBounds.toString() === "8,8,12,12");
+    b.strokeWeight(1);
+  },
+
+  testRectCorners: function(b) {
+
+    var sharp = b.rect(0,0, 100,50);
+    assert(sharp.topLeftCornerOption === CornerOptions.NONE);
+
+    var rounded = b.rect(0,0, 100,50, 10);
+    assert(rounded.topLeftCornerOption === CornerOptions.ROUNDED_CORNER);
+    assert(rounded.bottomRightCornerOption === CornerOptions.ROUNDED_CORNER);
+    assert(rounded.bottomRightCornerRadius === 10);
+
+    assert(b.cornerMode() === b.ROUND);
+    b.cornerMode(b.BEVEL);
+    var label = b.rect(0,0, 100,50, 10, 0, 5, 0);
+    b.cornerMode(b.ROUND);
+    assert(label.topLeftCornerOption === CornerOptions.BEVEL_CORNER);
+    assert(label.topRightCornerOption === CornerOptions.NONE);
+    assert(label.bottomRightCornerRadius === 5);
+  },
+
+  testStrokeStyle: function(b) {
+
+    // without stroke settings new shapes keep the defaults of the document
+    b.doc().pageItemDefaults.endJoin = EndJoin.ROUND_END_JOIN;
+    var plain = b.rect(0,0, 100,50);
+    assert(plain.endJoin === EndJoin.ROUND_END_JOIN);
+    assert(b.strokeJoin() === b.ROUND); // the join in effect
+    b.doc().pageItemDefaults.endJoin = EndJoin.MITER_END_JOIN;
+
+    b.strokeCap(b.ROUND);
+    b.strokeJoin(b.BEVEL);
+    b.strokeAlign(b.INSIDE);
+    b.strokeDash([10, 5]);
+    var rect = b.rect(0,0, 100,50);
+    assert(rect.endCap === EndCap.ROUND_END_CAP);
+    assert(rect.endJoin === EndJoin.BEVEL_END_JOIN);
+    assert(rect.strokeAlignment === StrokeAlignment.INSIDE_ALIGNMENT);
+    assert(rect.strokeType.name === "Dashed");
+    assert(rect.strokeDashAndGap.toString() === "10,5");
+    assert(b.strokeType() === "Dashed");
+
+    b.strokeType("Dotted");
+    assert(b.strokeDash().length === 0);
+    var line = b.line(0,0, 100,100, ArrowHead.NONE, ArrowHead.TRIANGLE_ARROW_HEAD);
+    assert(line.strokeType.name === "Dotted");
+    b.strokeType("$ID/Solid");
+    assert(b.line(0,0, 100,0).strokeType.name === "Solid");
+    assert(line.rightLineEnd === ArrowHead.TRIANGLE_ARROW_HEAD);
+
+    var unknownStyle = false;
+    try {
+      b.strokeType("no such style");
+    } catch (exp) {
+      unknownStyle = true;
+    }
+    assert(unknownStyle);
+
+    b.strokeCap(b.SQUARE);
+    b.strokeJoin(b.MITER);
+    b.strokeAlign(b.CENTER);
+    b.strokeDash([]);
+    assert(b.strokeType() === "Solid");
+  },
+
+  testSvgPath: function(b) {
+
+    var shape = b.svgPath("M10 10 C 20 20, 40 20, 50 10 Z");
+    assert(shape instanceof Polygon);
+    assert(shape.paths.length === 1);
+    var path = shape.paths.item(0).entirePath;
+    assert(path.length === 2);
+    assert(path[0][2].toString() === "20,20");
+    assert(path[1][1].toString() === "50,10");
+
+    var shape = b.svgPath("M0 0 h100 v100 h-100 z m25 25 l50 0 0 50 -50 0 z");
+    assert(shape.paths.length === 2);
+    assert(shape.paths.item(1).entirePath[0].toString() === "25,25");
+    assert(shape.paths.item(1).entirePath[2].toString() === "75,75");
+
+    var shape = b.svgPath("M0 0 L10 10 M20 20 A10 10 0 0 1 40 20");
+    assert(shape instanceof GraphicLine);
+    assert(shape.paths.length === 2);
+    assert(shape.paths.item(1).entirePath.length === 3);
+
+    // a path drawn while recording a shape doesn't change the recorded shape
+    b.beginShape(b.CLOSE);
+    b.vertex(0, 0);
+    b.vertex(100, 0);
+    var inner = b.svgPath("M0 0 L10 10");
+    assert(inner instanceof GraphicLine);
+    b.vertex(100, 100);
+    var recorded = b.endShape();
+    assert(recorded instanceof Polygon);
+    assert(recorded.paths.item(0).entirePath.length === 3);
+
+    var invalid = false;
+    try {
+      b.svgPath("M0 0 X10 10");
+    } catch (exp) {
+      invalid = true;
+    }
+    assert(invalid);
+  },
+
+  testLoadShape: function(b) {
+
+    var file = new File(Folder.temp + "/basil-shape-test.svg");
+    file.encoding = "UTF-8";
+    file.open("w");
+    file.write('<?xml version="1.0" encoding="UTF-8"?>\n'
+      + '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" width="24" height="24">\n'
+      + '  <path fill="none" d="M0 0h24v24H0z"/>\n'
+      + '  <g transform="translate(2 2)" style="fill:#ff0000">\n'
+      + '    <rect x="0" y="0" width="10" height="10"/>\n'
+      + '    <circle cx="15" cy="15" r="5" stroke="black" stroke-width="2"/>\n'
+      + '  </g>\n'
+      + '  <polyline points="0,24 12,12 24,24" fill="none" stroke="#000"/>\n'
+      + '</svg>');
+    file.close();
+
+    var shape = b.loadShape(file, 10, 20, 48, 48);
+    file.remove();
+
+    assert(shape instanceof Group);
+    assert(shape.pageItems.length === 3); // the invisible path is skipped
+    var found = false;
+    for (var i = 0; i < shape.allPageItems.length; i++) {
+      var item = shape.allPageItems[i];
+      if (item.fillColor instanceof Color && item.fillColor.colorValue.toString() === "255,0,0" &&
+          item.paths.item(0).entirePath.length === 4) {
+        // rect at 2,2 scaled by 2 and moved to 10,20
+        found = found || item.geometricBounds.toString() === "24,14,44,34";
+      }
+    }
+    assert(found);
+
+    // percentages fall back to the viewBox, spot colors are not used for SVG paints
+    b.colorType(b.SPOT);
+    file.open("w");
+    file.write('<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" width="100%" height="100%">'
+      + '<rect x="0" y="0" width="24" height="12" fill="#00ff00"/></svg>');
+    file.close();
+    var rect = b.loadShape(file, 0, 0);
+    b.colorType(b.PROCESS);
+    assert(rect.geometricBounds.toString() === "0,0,12,24");
+    assert(rect.fillColor.model === ColorModel.PROCESS);
+
+    b.units(b.PT);
+    file.open("w");
+    file.write('<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 10 10" width="1in" height="1in">'
+      + '<rect x="0" y="0" width="10" height="10"/></svg>');
+    file.close();
+    var inch = b.loadShape(file, 0, 0);
+    file.remove();
+    assert(Math.round(inch.geometricBounds[3]) === 72);
+  },
+
+  testPathfinder: function(b) {
+
+    b.fill(255, 0, 0);
+    var a = b.rect(0,0, 100,100);
+    b.fill(0, 0, 255);
+    var c = b.rect(50,0, 100,100);
+    b.fill(0, 255, 0);
+    var union = b.union(a, c);
+    assert(union.geometricBounds.toString() === "0,0,100,150");
+    assert(union.fillColor.colorValue.toString() === "0,255,0"); // the current fill
+
+    var a = b.rect(0,0, 100,100);
+    var c = b.rect(50,0, 100,100);
+    var rest = b.subtract(a, c);
+    assert(rest.geometricBounds.toString() === "0,0,100,50");
+
+    var a = b.rect(0,0, 100,100);
+    var c = b.rect(50,0, 100,100);
+    var overlap = b.intersect([a, c]);
+    assert(overlap.geometricBounds.toString() === "0,50,100,100");
+
+    var a = b.rect(0,0, 100,100);
+    var c = b.rect(50,0, 100,100);
+    var d = b.rect(0,50, 100,100);
+    var front = b.minusBack(a, [c, d]);
+    assert(front.geometricBounds.toString() === "0,0,50,50");
+
+    var wrongArgs = false;
+    try {
+      b.union(b.rect(0,0, 10,10));
+    } catch (exp) {
+      wrongArgs = true;
+    }
+    assert(wrongArgs);
+  },
+
+  testPathSampling: function(b) {
+
+    var line = b.line(0,0, 100,0);
+    assert(Math.round(b.pathLength(line)) === 100);
+    var middle = b.pointAtLength(line, 50);
+    assert(Math.round(middle.x) === 50 && Math.round(middle.y) === 0);
+    var tangent = b.tangentAt(line, 50);
+    assert(Math.round(tangent.x) === 1 && Math.round(tangent.y) === 0);
+
+    var rect = b.rect(0,0, 100,50);
+    assert(Math.round(b.pathLength(rect)) === 300); // closed paths include the closing segment
+    var end = b.pointAtLength(rect, 1000);
+    assert(Math.round(end.x) === 0 && Math.round(end.y) === 0);
+
+    var circle = b.ellipse(50,50, 100,100);
+    assert(Math.abs(b.pathLength(circle) - b.PI * 100) < 0.5);
+
+    // the results are in the coordinates of the current matrix
+    b.translate(100, 50);
+    b.rotate(b.HALF_PI);
+    var turned = b.line(0,0, 100,0);
+    var point = b.pointAtLength(turned, 50);
+    assert(Math.round(point.x) === 50 && Math.round(point.y) === 0);
+    var direction = b.tangentAt(turned, 50);
+    assert(Math.round(direction.x) === 1 && Math.round(direction.y) === 0);
+    b.resetMatrix();
+  },
+
+  testOffsetPath: function(b) {
+
+    var rect = b.rect(0,0, 100,100);
+    var outset = b.offsetPath(rect, 10);
+    var bounds = outset.geometricBounds;
+    assert(Math.round(bounds[0]) === -10 && Math.round(bounds[1]) === -10);
+    assert(Math.round(bounds[2]) === 110 && Math.round(bounds[3]) === 110);
+    assert(rect.isValid);
+
+    var inset = b.offsetPath(rect, -10, b.ROUND);
+    bounds = inset.geometricBounds;
+    assert(Math.round(bounds[0]) === 10 && Math.round(bounds[3]) === 90);
+
+    var beveled = b.offsetPath(rect, 10, b.BEVEL);
+    assert(beveled.paths.item(0).pathPoints.length === 8);
+
+    var error = false;
+    try {
+      b.offsetPath(rect, 10, b.SQUARE);
+    } catch (e) {
+      error = true;
+    }
+    assert(error);
+  },
+
+  testOutlineStroke: function(b) {
+
+    b.strokeWeight(10);
+    var line = b.line(0,0, 100,0);
+    var outline = b.outlineStroke(line);
+    assert(!line.isValid);
+    assert(outline instanceof Polygon);
+    var bounds = outline.geometricBounds;
+    assert(Math.round(bounds[0]) === -5 && Math.round(bounds[2]) === 5);
+    assert(Math.round(bounds[1]) === 0 && Math.round(bounds[3]) === 100);
+    assert(outline.strokeColor.name === "None");
+
+    var rect = b.rect(0,0, 100,100);
+    var ring = b.outlineStroke(rect, false);
+    assert(rect.isValid);
+    assert(ring.paths.length === 2);
+    b.strokeWeight(1);
   }
 
 });